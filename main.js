@@ -2,6 +2,9 @@ import * as THREE from 'three';
 import { CSS3DRenderer, CSS3DObject } from 'three/examples/jsm/renderers/CSS3DRenderer.js';
 import Game from './src/game.js';
 import { FPSCounter } from './src/fpsCounter.js';
+import { loadCourseFromUrl } from './src/courseFormat.js';
+import { loadImagesFromUrl } from './src/imageImport.js';
+import { loadMinimapsFromUrl } from './src/minimapImport.js';
 
 // Create scene for the title screen
 const titleScene = new THREE.Scene();
@@ -181,12 +184,17 @@ function startGameTransition() {
     clickFeedback.style.opacity = '0';
     loadingElement.style.opacity = '1';
     
-    // Preload game assets
-    setTimeout(() => {
+    // Preload game assets (and the course file, hole images or minimaps, if asked for)
+    Promise.all([
+      loadCourseFromUrl(),
+      loadImagesFromUrl(),
+      loadMinimapsFromUrl(),
+      new Promise(resolve => setTimeout(resolve, 500))
+    ]).then(([course, images, minimaps]) => {
       // Initialize game
       try {
         console.log("Creating game instance");
-        game = new Game(fpsCounter);
+        game = new Game(fpsCounter, { course, images, minimaps });
         
         // Remove event listeners
         window.removeEventListener('click', handleStartInput);
@@ -197,7 +205,7 @@ function startGameTransition() {
       } catch (error) {
         console.error("Error initializing game:", error);
       }
-    }, 500);
+    });
   }, 500);
 }
 
@@ -0,0 +1,54 @@
+/**
+ * Headless check for ThreeWood
+ * Generates a hole, saves it as a course file and loads it back, and plays a shot on each in plain
+ * Node - no DOM, renderer or audio - checking the result holds together and repeats exactly.
+ * Run with `npm run check:headless`
+ */
+import assert from 'node:assert/strict';
+import TerrainGenerator from '../src/terrain.js';
+import { simulateShot } from '../src/shotSimulator.js';
+
+const SEED = 12;
+
+// Generation logs every step; keep the output to the check itself
+const log = console.log;
+console.log = () => {};
+
+/**
+ * Play a full drive at the pin and check where it goes
+ * @param {TerrainGenerator} terrain - Headless terrain with a hole built
+ * @returns {Object} The shot (see simulateShot)
+ */
+function checkDrive(terrain) {
+  assert.ok(terrain.heightMap && terrain.surfaceMap && terrain.wind, 'heightmap, surfaces and wind are built');
+
+  const direction = terrain.holePosition.clone().sub(terrain.teePosition).setY(0);
+  const shot = { terrain, start: terrain.teePosition, direction, power: 100, loft: 25 };
+  const result = simulateShot(shot);
+
+  assert.ok(result.trajectory.length > 1, 'the shot is sampled along its flight');
+  assert.ok(result.landing, 'the shot lands');
+  assert.ok(result.landing.distanceTo(terrain.teePosition) > 50, 'a full drive carries past the tee box');
+  assert.ok(result.rest.toArray().every(Number.isFinite), 'the ball comes to rest somewhere');
+  assert.ok(simulateShot(shot).rest.equals(result.rest), 'the same shot always ends in the same place');
+  return result;
+}
+
+const report = (label, terrain, result) => {
+  log(`[checkHeadlessShot] ${label} (seed ${terrain.seed}): carried ${result.landing.distanceTo(terrain.teePosition).toFixed(1)} m ` +
+    `and stopped on ${result.surfaces[result.surfaces.length - 1]} after ${result.time.toFixed(2)} s`);
+};
+
+// A generated hole
+const generated = new TerrainGenerator({ seed: SEED, headless: true });
+assert.equal(generated.generateTerrain(), null, 'a headless generator builds no mesh');
+const generatedResult = checkDrive(generated);
+report('Generated hole', generated, generatedResult);
+
+// The same hole saved as a course file and loaded back
+const loaded = new TerrainGenerator({ headless: true });
+assert.equal(loaded.loadCourse(generated.exportCourse('Headless check')), null, 'a headless course load builds no mesh');
+const loadedResult = checkDrive(loaded);
+// Course files keep heights to the millimetre, so the ball can stop a little way off
+assert.ok(loadedResult.rest.distanceTo(generatedResult.rest) < 0.5, 'a loaded hole plays like the one saved');
+report('Loaded course', loaded, loadedResult);
@@ -1,4 +1,13 @@
 import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+const RADS_TO_RPM = 60 / (2 * Math.PI);
+
+// Length (seconds) of every physics step, whatever the frame rate, so a shot always flies the same way
+const FIXED_STEP = 1 / 120;
+
+// Most time simulated in one frame - after a stall the ball slows down rather than the game freezing to catch up
+const MAX_FRAME_TIME = 0.25;
 
 /**
  * GolfBall class for ThreeWood
@@ -15,14 +24,11 @@ class GolfBall {
       gravity: options.gravity || -9.81, // m/s²
       rollResistance: options.rollResistance || 0.05, // Drastically reduced from 0.4 to allow rolling
       spinDecay: options.spinDecay || 0.97, // How quickly spin decays
-      maxVelocity: options.maxVelocity || 35, // Maximum velocity cap
+      maxVelocity: options.maxVelocity || 45, // Maximum velocity cap
       stopThreshold: options.stopThreshold || 0.1, // Reduced from 0.25 to allow slower rolling before stop
       // PS1-style limitations
       positionPrecision: options.positionPrecision || 0.01,
       // Collision detection options
-      useSubstepping: true, // Enable physics sub-stepping for high velocities
-      maxSubsteps: 3, // Maximum number of substeps per frame
-      tunnelThreshold: 3, // Velocity threshold for considering CCD
       safeOffset: 0.05, // Safe offset from terrain (increased from 0.03)
       // Phase 2: Enhanced bounce physics
       minBounceVelocity: options.minBounceVelocity || 0.3, // Minimum velocity to bounce
@@ -36,37 +42,67 @@ class GolfBall {
       slopeGravityFactor: options.slopeGravityFactor || 0.8, // How much slopes affect ball rolling (0.8 = 80%)
       rollingFrictionMultiplier: options.rollingFrictionMultiplier || 0.5, // Rolling has less friction than sliding
       rollingInertia: options.rollingInertia || 0.6, // Ball tendency to keep rolling in current direction
-      minimumStopFrames: options.minimumStopFrames || 5, // Minimum frames below threshold before stopping
+      minimumStopFrames: options.minimumStopFrames || 10, // Minimum physics steps below threshold before stopping
+      // Flight: drag and Magnus lift on a real ball's size, spin from the strike
+      airDensity: options.airDensity || 1.225, // kg/m³
+      dragRadius: options.dragRadius || 0.0214, // A real ball's radius (m) - the drawn ball is bigger
+      dragCoefficient: options.dragCoefficient || 0.22, // Drag coefficient at speed, once the dimples trip the air
+      slowDragCoefficient: options.slowDragCoefficient || 0.45, // Drag coefficient once the ball has slowed
+      dragCrisisSpeed: options.dragCrisisSpeed || 14, // Speed (m/s) the drag drops off around
+      maxLiftCoefficient: options.maxLiftCoefficient || 0.5, // Lift coefficient the Magnus effect approaches at high spin
+      maxBackspin: options.maxBackspin || 700, // Backspin (rad/s) off a full 50° shot
+      maxSidespin: options.maxSidespin || 350, // Sidespin (rad/s) off a full slice or hook
+      spinDecayTime: options.spinDecayTime || 20, // Seconds for the flight spin to drop to about a third
+      wind: options.wind, // Wind to fly through instead of the hole's (null for still air)
+      // Headless balls have no mesh or sound, for simulating shots outside the game (tests, aim previews, AI)
+      headless: options.headless || false,
+      quiet: options.quiet || false, // Don't log the shot
     };
     
     // Physics state
     this.position = new THREE.Vector3(0, 0, 0);
     this.previousPosition = new THREE.Vector3(0, 0, 0); // For continuous collision detection
+    this.renderPosition = new THREE.Vector3(0, 0, 0); // Where the ball is drawn, between the last two steps
     this.velocity = new THREE.Vector3(0, 0, 0);
     this.acceleration = new THREE.Vector3(0, 0, 0);
     this.angularVelocity = new THREE.Vector3(0, 0, 0); // For rolling
-    this.spin = 0; // Backspin/topspin factor
-    this.sidespin = 0; // Sidespin factor
+    this.spin = 0; // Backspin/topspin factor picked up from the ground, checking or releasing the roll
+    this.spinVector = new THREE.Vector3(0, 0, 0); // Spin in flight (angular velocity in rad/s)
     this.forces = new THREE.Vector3(0, 0, 0);
     this.isResting = true;
     this.inAir = false;
     
     // Game state
     this.inWaterHazard = false;
+    this.outOfBounds = false; // Left the map - stopped and waiting for the penalty
+    this.inHole = false; // Dropped into the cup - stopped and waiting for the hole to finish
     this.lastSafePosition = new THREE.Vector3();
-    this.stationaryFrames = 0; // Count frames where ball is nearly stationary
+    this.shotStartPosition = new THREE.Vector3(); // Where the last shot was played from
+    this.waterEntryPosition = new THREE.Vector3(); // Where the ball last went into a water hazard
+    this.waterEntrySpeed = 0; // How fast it was going when it went in
+    this.stationaryFrames = 0; // Count physics steps where ball is nearly stationary
+    this.accumulator = 0; // Frame time not yet simulated, less than one physics step
+    this.windTime = 0; // Wind clock the ball flies through, stepped with the physics
+    this.shotTime = 0; // Seconds simulated since the last hit
+    this.bounceCount = 0; // Times the ball has bounced off the ground since the last hit
+    this.random = Math.random; // Shot randomness, seeded from the shot in hit()
     this.landingTimer = null; // Timer for forced stop after landing
     
-    // Create the ball mesh
-    this.createMesh();
+    this.mesh = null;
+    this.audioContext = null;
+    this.bounceTime = 0; // To prevent too many bounce sounds at once
     
-    // Initialize audio context for sound effects
-    try {
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      this.bounceTime = 0; // To prevent too many bounce sounds at once
-    } catch (e) {
-      console.error("Web Audio API not supported:", e);
-      this.audioContext = null;
+    if (!this.options.headless) {
+      // Create the ball mesh
+      this.createMesh();
+      
+      // Initialize audio context for sound effects
+      try {
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      } catch (e) {
+        console.error("Web Audio API not supported:", e);
+        this.audioContext = null;
+      }
     }
     
     // For debug visualization
@@ -115,16 +151,27 @@ class GolfBall {
     // Debug - log if the ball is potentially embedded in terrain
     const terrainHeight = this.terrain.getHeightAtPosition(this.position.x, this.position.z);
     if (this.position.y - this.options.radius < terrainHeight) {
-      console.warn("Ball may be embedded in terrain before hit. Fixing position...");
+      this.warn("Ball may be embedded in terrain before hit. Fixing position...");
       this.position.y = terrainHeight + this.options.radius + 0.01;
     }
     
     // Save current position as last safe position
     this.lastSafePosition.copy(this.position);
+    this.shotStartPosition.copy(this.position);
     this.previousPosition.copy(this.position);
+    this.renderPosition.copy(this.position);
+    this.accumulator = 0;
+    this.shotTime = 0;
+    this.bounceCount = 0;
+    
+    // The shot's bounces and spin vary a little, but the same shot from the same spot in the same gust
+    // always varies the same way
+    const wind = this.getWind();
+    this.windTime = wind ? wind.time : 0;
+    this.random = createRandom(this.getShotSeed(power, direction, loft, sidespin));
     
     // Convert power (0-100) to actual velocity (m/s)
-    const maxSpeed = 30;
+    const maxSpeed = 38; // Quick enough for a full shot to carry through the drag
     const speedFactor = power / 100;
     const speed = maxSpeed * speedFactor;
     
@@ -146,28 +193,31 @@ class GolfBall {
     // Higher loft = more backspin, high power = more spin
     const spinIntensity = Math.min(1.0, power / 70); // Power factor (max at 70% power)
     
-    // Store backspin/topspin in this.spin (vertical spin)
-    this.spin = -loftRadians * 6 * spinIntensity; // Increased backspin factor
-    
-    // Add slight random variation to spin (±10%)
-    this.spin *= 0.9 + Math.random() * 0.2;
+    // Backspin turns the ball about the axis to the right of the shot, with slight random variation (±10%)
+    let backspin = this.options.maxBackspin * Math.min(1, (loft || 10) / 50) * spinIntensity;
+    backspin *= 0.9 + this.random() * 0.2;
     
-    // Ensure vertical spin stays within reasonable limits
-    this.spin = Math.max(-this.options.maxSpinRate, Math.min(0, this.spin));
+    // Sidespin tilts that axis: a slice spins the ball clockwise seen from above and curves it right,
+    // with slight random variation (±5%)
+    let sideRate = (sidespin || 0) * spinIntensity * this.options.maxSidespin;
+    sideRate *= 0.95 + this.random() * 0.1;
     
-    // Store sidespin in a new property
-    this.sidespin = (sidespin || 0) * spinIntensity * this.options.maxSpinRate;
+    const shotDirection = new THREE.Vector3(direction.x, 0, direction.z).normalize();
+    const rightAxis = new THREE.Vector3(-shotDirection.z, 0, shotDirection.x);
+    this.spinVector.copy(rightAxis).multiplyScalar(backspin);
+    this.spinVector.y = -sideRate;
     
-    // Apply slight random variation to sidespin (±5%)
-    this.sidespin *= 0.95 + Math.random() * 0.1;
+    // Spin off the ground only comes from bouncing
+    this.spin = 0;
     
     // Log the spin values
-    console.log(`Applied spin - Vertical: ${this.spin.toFixed(2)}, Side: ${this.sidespin.toFixed(2)}`);
+    this.log(`Applied spin - Back: ${(backspin * RADS_TO_RPM).toFixed(0)} rpm, Side: ${(sideRate * RADS_TO_RPM).toFixed(0)} rpm`);
     
     // Ball is now in motion
     this.isResting = false;
     this.inAir = true;
     this.inWaterHazard = false;
+    this.inHole = false;
     this.stationaryFrames = 0;
     
     // Ensure the ball is lifted slightly off the ground to prevent immediate collision
@@ -177,47 +227,52 @@ class GolfBall {
     this.playHitSound(power);
     
     // Log the hit for debugging
-    console.log(`Ball hit with power: ${power.toFixed(1)}, speed: ${speed.toFixed(2)} m/s, loft: ${loft.toFixed(1)}°, spin: ${this.spin.toFixed(2)}, sidespin: ${this.sidespin.toFixed(2)}`);
+    this.log(`Ball hit with power: ${power.toFixed(1)}, speed: ${speed.toFixed(2)} m/s, loft: ${loft.toFixed(1)}°, spin: ${(this.spinVector.length() * RADS_TO_RPM).toFixed(0)} rpm`);
     
     return true;
   }
   
+  /**
+   * Seed for a shot's randomness, from everything that goes into it
+   * @param {number} power - Power of the hit (0-100)
+   * @param {THREE.Vector3} direction - Direction vector
+   * @param {number} loft - Loft angle in degrees
+   * @param {number} sidespin - Side spin value (-1 to 1)
+   * @returns {string}
+   */
+  getShotSeed(power, direction, loft, sidespin) {
+    const values = [
+      this.position.x, this.position.y, this.position.z,
+      power, direction.x, direction.z, loft || 10, sidespin || 0, this.windTime
+    ];
+    return `${this.terrain.seed}:shot:${values.map(value => value.toFixed(3)).join(',')}`;
+  }
+  
   /**
    * Update the ball physics
+   * Runs as many fixed physics steps as the frame time covers and carries the rest over to the
+   * next frame, then draws the ball between the last two steps
+   * @param {number} deltaTime - Seconds since the last frame
    */
   update(deltaTime) {
     if (this.isResting) return;
     
-    // Store the current position for collision detection
-    this.previousPosition.copy(this.position);
-    
-    // Cap delta time to avoid instability
-    const dt = Math.min(deltaTime, 0.033);
+    const drawnPosition = this.renderPosition.clone();
     
-    // Determine if we need substepping based on velocity
-    const useSubstepping = this.options.useSubstepping && 
-                          this.velocity.length() > this.options.tunnelThreshold;
+    this.accumulator += Math.min(deltaTime, MAX_FRAME_TIME);
+    while (this.accumulator >= FIXED_STEP && !this.isResting) {
+      this.step();
+      this.accumulator -= FIXED_STEP;
+    }
     
-    if (useSubstepping) {
-      // Subdivide the time step for more accurate collision detection
-      const numSubsteps = Math.min(
-        Math.ceil(this.velocity.length() / 5), // More steps for faster movement
-        this.options.maxSubsteps
-      );
-      const subDt = dt / numSubsteps;
-      
-      for (let i = 0; i < numSubsteps; i++) {
-        this.performPhysicsStep(subDt);
-        // Exit early if ball has come to rest
-        if (this.isResting) break;
-      }
+    // Draw the ball part of the way from the previous step to the latest, as far as the leftover time goes
+    if (this.isResting) {
+      this.renderPosition.copy(this.position);
     } else {
-      // Standard single step
-      this.performPhysicsStep(dt);
+      this.renderPosition.lerpVectors(this.previousPosition, this.position, this.accumulator / FIXED_STEP);
     }
-    
-    // Update mesh position
-    this.mesh.position.copy(this.position);
+    if (!this.mesh) return;
+    this.mesh.position.copy(this.renderPosition);
     
     // Rotate the ball based on movement
     if (!this.inAir && this.velocity.length() > 0.1) {
@@ -225,7 +280,7 @@ class GolfBall {
       const rotationAxis = new THREE.Vector3(this.velocity.z, 0, -this.velocity.x).normalize();
       
       // Calculate rotation amount based on distance traveled
-      const displacement = this.position.clone().sub(this.previousPosition);
+      const displacement = this.renderPosition.clone().sub(drawnPosition);
       const rotationAmount = displacement.length() / (2 * Math.PI * this.options.radius);
       
       // Apply rotation
@@ -233,29 +288,76 @@ class GolfBall {
     }
   }
   
+  /**
+   * Advance the ball by one fixed physics step
+   */
+  step() {
+    // Store the current position for collision detection
+    this.previousPosition.copy(this.position);
+    
+    this.performPhysicsStep(FIXED_STEP);
+    this.windTime += FIXED_STEP;
+    this.shotTime += FIXED_STEP;
+    
+    // Water and the cup are checked every step, so a long frame can't carry the ball through them
+    this.checkWaterHazard();
+    this.checkHole();
+  }
+  
+  /**
+   * Stop the ball if it has gone into a water hazard
+   */
+  checkWaterHazard() {
+    if (this.inWaterHazard || !this.terrain.isWaterHazard) return;
+    
+    const { x, y, z } = this.position;
+    if (y <= this.terrain.options.waterLevel + 0.1 && this.terrain.isWaterHazard(x, y, z)) {
+      this.waterEntrySpeed = this.velocity.length();
+      this.handleWaterHazard();
+    }
+  }
+  
+  /**
+   * Stop the ball if it has dropped into the cup
+   */
+  checkHole() {
+    if (this.inHole || !this.terrain.checkBallInHole || !this.terrain.checkBallInHole(this)) return;
+    
+    this.log("Ball in the hole!");
+    this.inHole = true;
+    this.velocity.set(0, 0, 0);
+    this.isResting = true;
+    this.inAir = false;
+  }
+  
   /**
    * Perform a single physics step
    */
   performPhysicsStep(dt) {
+    // Get terrain height at current position for proximity checks
+    const terrainHeight = this.terrain.getHeightAtPosition(this.position.x, this.position.z);
+    
     // Start with gravity
     this.forces.set(0, this.options.gravity * this.options.mass, 0);
     
+    // Drag and Magnus lift from the air rushing past the ball (and the wind, harder the higher it climbs)
+    if (this.inAir) {
+      this.forces.add(this.getAerodynamicForce(this.position.y - this.options.radius - terrainHeight));
+    }
+    
     // Calculate acceleration (F = ma, so a = F/m)
     this.acceleration.copy(this.forces).divideScalar(this.options.mass);
     
     // Update velocity (v = v0 + at)
     this.velocity.add(this.acceleration.clone().multiplyScalar(dt));
     
-    // Get terrain height at current position for proximity checks
-    const terrainHeight = this.terrain.getHeightAtPosition(this.position.x, this.position.z);
-    
     // Determine how close the ball is to the ground
     const groundDistance = this.position.y - this.options.radius - terrainHeight;
     const nearGround = groundDistance < 0.1;
     
-    // Apply spin effects when ball is close to the ground and moving
-    if (this.inAir || (!this.inAir && Math.abs(this.spin) > 0.1)) {
-      this.applySpinEffects(dt, nearGround);
+    // Spin picked up from the ground checks or releases the ball while it's on or skimming the ground
+    if ((!this.inAir || nearGround) && Math.abs(this.spin) > 0.1) {
+      this.applyGroundSpin(dt);
     }
     
     // Speed limiter to avoid physics glitches
@@ -267,8 +369,10 @@ class GolfBall {
     // Predict new position (p = p0 + vt)
     const newPosition = this.position.clone().add(this.velocity.clone().multiplyScalar(dt));
     
-    // Check for continuous collision with terrain
-    if (this.checkContinuousCollision(this.position, newPosition, dt)) {
+    // Check for trees, rocks and shrubs before the terrain
+    if (this.checkObstacleCollision(this.position, newPosition, dt)) {
+      // Ball bounced off a trunk or rock
+    } else if (this.checkContinuousCollision(this.position, newPosition, dt)) {
       // Collision was handled within the method
     } else {
       // No collision, update position
@@ -305,19 +409,90 @@ class GolfBall {
       this.spin *= (this.options.spinDecay * 0.9);
     }
     
+    // The air slowly spins the ball down in flight
+    this.spinVector.multiplyScalar(Math.exp(-dt / this.options.spinDecayTime));
+    
     // Check if ball should come to rest
     this.checkBallStop();
   }
 
   /**
-   * Apply spin effects (backspin, topspin, sidespin) to the ball
-   * @param {number} dt - Time step in seconds
-   * @param {boolean} nearGround - Whether the ball is near the ground
+   * Wind the ball flies through
+   * @returns {Wind|null} The wind passed in the options, or else the hole's
    */
-  applySpinEffects(dt, nearGround) {
-    // Skip if no significant spin (either vertical or side)
-    if (Math.abs(this.spin) < 0.1 && Math.abs(this.sidespin || 0) < 0.1) return;
+  getWind() {
+    if (this.options.wind !== undefined) return this.options.wind;
+    return this.terrain.wind || null;
+  }
+  
+  /**
+   * Aerodynamic force on the ball in flight
+   * Drag opposes the air rushing past the ball and Magnus lift pushes it at right angles, towards
+   * the side the spin carries the air away from (up for backspin, right for a slice). Both use the
+   * ball's speed through the air, so the wind is felt wherever it blows
+   * @param {number} height - Height of the ball above the ground in metres
+   * @returns {THREE.Vector3} Force in newtons
+   */
+  getAerodynamicForce(height) {
+    const { airDensity, dragRadius } = this.options;
+    const area = Math.PI * dragRadius * dragRadius;
+    
+    // Velocity of the ball through the air
+    const airVelocity = this.velocity.clone();
+    const wind = this.getWind();
+    if (wind) {
+      airVelocity.sub(wind.getVelocityAt(height, this.windTime));
+    }
+    const airSpeed = airVelocity.length();
+    if (airSpeed < 0.01) return new THREE.Vector3(0, 0, 0);
+    
+    // Spin parameter: how fast the ball's surface turns compared with the air going past
+    const spinRate = this.spinVector.length();
+    const spinParameter = spinRate * dragRadius / airSpeed;
+    const dynamicPressure = 0.5 * airDensity * airSpeed * airSpeed * area;
     
+    const force = airVelocity.clone().multiplyScalar(-this.getDragCoefficient(airSpeed, spinParameter) * dynamicPressure / airSpeed);
+    
+    if (spinRate > 0) {
+      const liftDirection = this.spinVector.clone().cross(airVelocity);
+      if (liftDirection.lengthSq() > 0) {
+        force.addScaledVector(liftDirection.normalize(), this.getLiftCoefficient(spinParameter) * dynamicPressure);
+      }
+    }
+    
+    return force;
+  }
+  
+  /**
+   * Drag coefficient of the ball
+   * High while the ball is slow, dropping off sharply above the drag crisis speed once the dimples
+   * make the air cling to the ball, and a little higher the faster it spins
+   * @param {number} airSpeed - Speed through the air in m/s
+   * @param {number} spinParameter - Surface speed of the spin over the air speed
+   * @returns {number}
+   */
+  getDragCoefficient(airSpeed, spinParameter) {
+    const { dragCoefficient, slowDragCoefficient, dragCrisisSpeed } = this.options;
+    const crisis = THREE.MathUtils.smoothstep(airSpeed, dragCrisisSpeed - 4, dragCrisisSpeed + 4);
+    return THREE.MathUtils.lerp(slowDragCoefficient, dragCoefficient, crisis) + 0.1 * Math.min(spinParameter, 1);
+  }
+  
+  /**
+   * Magnus lift coefficient of the ball
+   * Climbs with the spin parameter and levels off, as measured for dimpled balls
+   * @param {number} spinParameter - Surface speed of the spin over the air speed
+   * @returns {number}
+   */
+  getLiftCoefficient(spinParameter) {
+    return this.options.maxLiftCoefficient * spinParameter / (spinParameter + 0.25);
+  }
+  
+  /**
+   * Apply spin picked up from the ground to a rolling ball
+   * Backspin checks the roll, topspin pushes it on
+   * @param {number} dt - Time step in seconds
+   */
+  applyGroundSpin(dt) {
     // Get horizontal velocity components
     const horizontalVelocity = new THREE.Vector3(
       this.velocity.x, 
@@ -325,70 +500,16 @@ class GolfBall {
       this.velocity.z
     );
     const horizontalSpeed = horizontalVelocity.length();
+    if (horizontalSpeed <= 0.1) return;
     
-    // Normalize horizontal velocity if it exists
-    if (horizontalSpeed > 0.1) {
-      horizontalVelocity.normalize();
-      
-      // Airborne and near ground, or grounded with spin
-      if ((this.inAir && nearGround) || !this.inAir) {
-        // Calculate spin effects based on spin magnitude and direction
-        
-        // 1. Vertical lift/drop effect from backspin/topspin
-        // Positive spin (topspin) pushes ball down, negative (backspin) creates lift
-        const liftForce = -this.spin * dt * 3.0;
-        this.velocity.y += liftForce;
-        
-        // 2. Forward/backward effect on horizontal movement from backspin/topspin
-        // Topspin accelerates forward, backspin slows
-        const horizontalForce = -this.spin * dt * 1.8;
-        
-        // Apply horizontal force in direction of movement
-        this.velocity.x += horizontalVelocity.x * horizontalForce;
-        this.velocity.z += horizontalVelocity.z * horizontalForce;
-      }
-      
-      // 3. Apply sidespin effect (hook/slice)
-      if (this.inAir && Math.abs(this.sidespin || 0) > 0.1) {
-        // Create a perpendicular vector for the side force (right hand rule)
-        // For golf:
-        // - Negative sidespin (hook) curves left (for right-handed golfer)
-        // - Positive sidespin (slice) curves right (for right-handed golfer)
-        const sideDirection = new THREE.Vector3(
-          -horizontalVelocity.z,  // Perpendicular to velocity
-          0,
-          horizontalVelocity.x
-        );
-        
-        // Calculate side force magnitude based on sidespin value
-        const sideForce = -(this.sidespin || 0) * dt * 0.8;
-        
-        // Apply side force - negative sidespin (hook) creates right-to-left curve
-        this.velocity.x += sideDirection.x * sideForce;
-        this.velocity.z += sideDirection.z * sideForce;
-        
-        // Add slight downward force for slice, slight upward for hook
-        // (Slices tend to lose distance, hooks tend to roll more)
-        if (this.sidespin > 0) {
-          // Slice - add downward component
-          this.velocity.y -= Math.abs(this.sidespin) * dt * 0.3;
-        } else if (this.sidespin < 0) {
-          // Hook - add very slight upward component initially, then more roll
-          if (this.inAir && this.velocity.y > 0) {
-            this.velocity.y += Math.abs(this.sidespin) * dt * 0.15;
-          }
-        }
-      }
-    }
+    horizontalVelocity.normalize();
     
-    // Decay sidespin over time (slightly faster than backspin)
-    if (this.sidespin) {
-      if (this.inAir) {
-        this.sidespin *= this.options.spinDecay;
-      } else {
-        this.sidespin *= (this.options.spinDecay * 0.8);
-      }
-    }
+    // Topspin accelerates forward, backspin slows
+    const horizontalForce = -this.spin * dt * 1.8;
+    
+    // Apply horizontal force in direction of movement
+    this.velocity.x += horizontalVelocity.x * horizontalForce;
+    this.velocity.z += horizontalVelocity.z * horizontalForce;
   }
   
   /**
@@ -399,14 +520,14 @@ class GolfBall {
    * @returns {boolean} - Whether a collision was detected and handled
    */
   checkContinuousCollision(startPos, endPos, dt) {
-    if (!this.terrain || !this.terrain.terrainMesh) return false;
+    if (!this.terrain) return false;
     
     // First check if start position is already embedded in terrain
     // This can happen due to numerical issues or previous physics steps
     const startTerrainHeight = this.terrain.getHeightAtPosition(startPos.x, startPos.z);
     if (startPos.y - this.options.radius < startTerrainHeight) {
       // Ball is already embedded - fix position and handle as collision
-      console.warn("Ball already embedded in terrain - fixing position");
+      this.warn("Ball already embedded in terrain - fixing position");
       this.position.y = startTerrainHeight + this.options.radius + 0.01;
       
       // Get proper normal at this location
@@ -420,28 +541,17 @@ class GolfBall {
       return true;
     }
     
-    // Create ray from start position to end position
-    const direction = endPos.clone().sub(startPos).normalize();
+    // Cast a ray from start position to end position against the heightfield
+    const direction = endPos.clone().sub(startPos);
     const distance = endPos.distanceTo(startPos) + this.options.radius;
+    const hit = this.terrain.raycast(startPos, direction, distance);
     
-    // Create raycaster
-    const raycaster = new THREE.Raycaster(startPos, direction, 0, distance);
-    
-    // Cast ray against the terrain mesh
-    const intersects = raycaster.intersectObject(this.terrain.terrainMesh);
-    
-    if (intersects.length > 0) {
-      // We hit something! Get the closest intersection
-      const intersection = intersects[0];
-      const intersectionPoint = intersection.point;
-      const normal = intersection.face.normal.clone();
-      
-      // Transform local normal to world space
-      normal.transformDirection(this.terrain.terrainMesh.matrixWorld);
+    if (hit) {
+      const normal = hit.normal;
       
       // Position the ball at the intersection point plus radius offset in normal direction
       const positionOffset = normal.clone().multiplyScalar(this.options.radius + this.options.safeOffset);
-      this.position.copy(intersectionPoint).add(positionOffset);
+      this.position.copy(hit.point).add(positionOffset);
       
       // Handle bounce off the surface
       this.handleBounce(normal, dt);
@@ -451,6 +561,52 @@ class GolfBall {
     return false;
   }
   
+  /**
+   * Check for collisions with the course obstacles (trees, rocks and shrubs)
+   * Trunks and rocks deflect the ball; canopies and shrubs soak up its energy
+   * @param {THREE.Vector3} startPos - Starting position
+   * @param {THREE.Vector3} endPos - Ending position (moved if foliage slows the ball)
+   * @param {number} dt - Time step
+   * @returns {boolean} - Whether a solid obstacle was hit and the bounce handled
+   */
+  checkObstacleCollision(startPos, endPos, dt) {
+    const obstacles = this.terrain && this.terrain.obstacles;
+    if (!obstacles || obstacles.items.length === 0) return false;
+    
+    // Foliage slows the ball and knocks it slightly off line
+    const foliage = obstacles.findFoliage(startPos);
+    if (foliage) {
+      const speed = this.velocity.length();
+      this.velocity.multiplyScalar(Math.exp(-foliage.damping * dt));
+      this.velocity.x += (this.random() - 0.5) * speed * 0.2 * dt * foliage.damping;
+      this.velocity.z += (this.random() - 0.5) * speed * 0.2 * dt * foliage.damping;
+      this.spin *= 0.9;
+      this.spinVector.multiplyScalar(0.9);
+      endPos.copy(startPos).add(this.velocity.clone().multiplyScalar(dt));
+    }
+    
+    const hit = obstacles.findCollision(startPos, endPos, this.options.radius);
+    if (!hit) return false;
+    
+    // Reflect the velocity about the contact normal and lose energy
+    const impactSpeed = -this.velocity.dot(hit.normal);
+    if (impactSpeed > 0) {
+      this.velocity.addScaledVector(hit.normal, impactSpeed * (1 + hit.restitution));
+      
+      // Scrub some of the speed along the surface too
+      this.velocity.multiplyScalar(0.8);
+    }
+    this.spin *= 0.5;
+    this.spinVector.multiplyScalar(0.5);
+    
+    // Place the ball just outside the obstacle
+    this.position.copy(hit.point).addScaledVector(hit.normal, this.options.safeOffset);
+    
+    this.log(`Ball hit a ${hit.obstacle.type} at ${impactSpeed.toFixed(2)} m/s`);
+    this.playBounceSound(Math.max(impactSpeed, 0));
+    return true;
+  }
+
   /**
    * Handle bounce physics when ball collides with an object
    * 
@@ -478,7 +634,7 @@ class GolfBall {
       }
     } else {
       // Invalid parameter, use default up vector
-      console.warn('Invalid intersection or normal provided to handleBounce');
+      this.warn('Invalid intersection or normal provided to handleBounce');
       normal = new THREE.Vector3(0, 1, 0);
     }
     
@@ -488,6 +644,7 @@ class GolfBall {
       this.velocity.set(0, 0, 0);
       return;
     }
+    this.bounceCount++;
 
     // Store pre-bounce velocity for calculations
     const preBounceVelocity = this.velocity.clone();
@@ -500,7 +657,7 @@ class GolfBall {
     
     // Log detailed bounce information for debugging
     if (speed > 2.0) {
-      console.log(`Bounce detected:
+      this.log(`Bounce detected:
         - Speed: ${speed.toFixed(2)} m/s
         - Normal: ${normal.x.toFixed(2)}, ${normal.y.toFixed(2)}, ${normal.z.toFixed(2)}
         - Impact angle: ${(impactAngle * 180 / Math.PI).toFixed(2)}°`);
@@ -593,7 +750,7 @@ class GolfBall {
     const effectiveRestitution = Math.max(0.1, 1 - energyLoss);
     
     // Add small random variation to bounce for natural feel
-    const randomFactor = 1 + (Math.random() * 2 - 1) * this.options.randomBounceVariation;
+    const randomFactor = 1 + (this.random() * 2 - 1) * this.options.randomBounceVariation;
     
     // Calculate reflection vector - better handling of glancing impacts
     let reflection;
@@ -642,6 +799,9 @@ class GolfBall {
     // Convert to rolling motion by killing vertical velocity 
     this.velocity.y = 0;
     this.inAir = false;
+    
+    // Rolling on the ground, the ball has lost its flight spin
+    this.spinVector.set(0, 0, 0);
       
     // Get the surface plane and project velocity onto it
     const horizontalVelocity = new THREE.Vector3(this.velocity.x, 0, this.velocity.z);
@@ -683,6 +843,7 @@ class GolfBall {
       rough: 0.6,    // Less spin in rough
       bunker: 0.3,   // Minimal spin in sand
       cart_path: 1.5, // More spin on cart path
+      bridge: 1.2,   // Firm wooden deck
       default: 1.0
     };
     
@@ -717,6 +878,9 @@ class GolfBall {
         newSpin + existingSpinContribution
       )
     );
+    
+    // The ground grips the ball and scrubs off most of its flight spin
+    this.spinVector.multiplyScalar(0.3);
   }
   
   /**
@@ -752,13 +916,14 @@ class GolfBall {
         // Zero out all movement
         this.velocity.set(0, 0, 0);
         this.spin = 0;
+        this.spinVector.set(0, 0, 0);
         
         // Mark as resting
         this.isResting = true;
         
         // Save current position as safe position when coming to rest
         this.lastSafePosition.copy(this.position);
-        console.log("Ball has come to rest");
+        this.log("Ball has come to rest");
         
         // Play stop sound
         this.playStopSound();
@@ -769,10 +934,11 @@ class GolfBall {
   }
   
   /**
-   * Check if the ball is out of bounds
+   * Stop the ball if it leaves the map
+   * Out-of-bounds stakes inside the map are judged once the ball comes to rest, as a ball can roll back in
    */
   checkOutOfBounds() {
-    if (!this.terrain) return;
+    if (!this.terrain || this.outOfBounds) return;
     const maxX = this.terrain.options.width / 2;
     const maxZ = this.terrain.options.length / 2;
     const minY = -10; // Define a minimum y level as out of bounds
@@ -782,8 +948,11 @@ class GolfBall {
       Math.abs(this.position.z) > maxZ || 
       this.position.y < minY
     ) { 
-      console.warn("Ball out of bounds! Resetting to last safe position.");
-      this.reset(this.lastSafePosition);
+      this.warn("Ball left the map - out of bounds");
+      this.outOfBounds = true;
+      this.velocity.set(0, 0, 0);
+      this.isResting = true;
+      this.inAir = false;
     }
   }
   
@@ -898,15 +1067,18 @@ class GolfBall {
   
   /**
    * Handle water hazard collision
+   * Stops the ball where it went in; the game then offers the drop options
    */
   handleWaterHazard() {
     if (this.inWaterHazard) return; // Already handled
     
-    console.log("Ball in water hazard!");
+    this.log("Ball in water hazard!");
     this.inWaterHazard = true;
+    this.waterEntryPosition.copy(this.position);
     
-    // Reset to last safe position
-    this.reset(this.lastSafePosition);
+    this.velocity.set(0, 0, 0);
+    this.isResting = true;
+    this.inAir = false;
   }
   
   /**
@@ -1024,6 +1196,7 @@ class GolfBall {
       rough: { base: 2.8, rolling: 0.35, lowSpeed: 2.2 },  // More stopping power in rough
       bunker: { base: 5.0, rolling: 0.6, lowSpeed: 3.5 },  // Significantly more friction in sand
       cart_path: { base: 0.5, rolling: 0.04, lowSpeed: 0.9 }, // Less friction on path
+      bridge: { base: 0.7, rolling: 0.08, lowSpeed: 1.1 }, // Planks roll fast, a little slower than the path
       default: { base: 1.0, rolling: 0.15, lowSpeed: 1.5 }
     };
     
@@ -1038,7 +1211,7 @@ class GolfBall {
    */
   applyGroundFriction(dt, speed, frictionFactors) {
     // Add small random variations to friction for natural feel
-    const randomVariation = 1 + (Math.random() * 2 - 1) * this.options.frictionVariation;
+    const randomVariation = 1 + (this.random() * 2 - 1) * this.options.frictionVariation;
     
     // Different friction model for rolling vs sliding
     const isRolling = speed < 3.0 && !this.inAir;
@@ -1142,18 +1315,41 @@ class GolfBall {
     this.acceleration.set(0, 0, 0);
     this.forces.set(0, 0, 0);
     this.spin = 0;
-    this.sidespin = 0;
+    this.spinVector.set(0, 0, 0);
     this.isResting = true;
     this.inAir = false;
     this.inWaterHazard = false;
+    this.outOfBounds = false;
+    this.inHole = false;
     this.stationaryFrames = 0;
+    this.accumulator = 0;
     
     // Update mesh position
-    this.mesh.position.copy(this.position);
+    this.previousPosition.copy(this.position);
+    this.renderPosition.copy(this.position);
+    if (this.mesh) {
+      this.mesh.position.copy(this.position);
+    }
+  }
+  
+  /**
+   * Log about the ball, unless it's quiet
+   * @param {...*} args - Passed to console.log
+   */
+  log(...args) {
+    if (!this.options.quiet) console.log(...args);
+  }
+  
+  /**
+   * Warn about the ball, unless it's quiet
+   * @param {...*} args - Passed to console.warn
+   */
+  warn(...args) {
+    if (!this.options.quiet) console.warn(...args);
   }
   
   /**
-   * Get the ball's mesh object for adding to the scene
+   * Get the ball's mesh object for adding to the scene (null for a headless ball)
    */
   getMesh() {
     return this.mesh;
@@ -1302,8 +1498,8 @@ class GolfBall {
       return "default";
     }
     
-    // Check terrain type at current position
-    return this.terrain.getSurfaceTypeAtPosition(this.position.x, this.position.z) || "default";
+    // Check terrain type under the bottom of the ball, which may be a bridge deck above the water
+    return this.terrain.getSurfaceTypeAtPosition(this.position.x, this.position.z, this.position.y - this.options.radius) || "default";
   }
   
   /**
@@ -1319,6 +1515,7 @@ class GolfBall {
       rough: 0.65,   // More energy absorption in rough
       bunker: 0.85,  // Maximum energy absorption in sand
       cart_path: 0.08, // Minimal energy loss on cart paths
+      bridge: 0.2,   // Lively bounce off the deck
       default: 0.5
     };
     
@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+// The Small Bridge model: length of its arched deck between the ends, deck width and the
+// height of the arch above the ends (metres, at the model's own scale)
+const MODEL_PATH = 'src/Assets/Small Bridge.glb';
+const MODEL_DECK_LENGTH = 6.6;
+const MODEL_DECK_WIDTH = 2.4;
+const MODEL_DECK_RISE = 1.08;
+
+// Bridges are built this much wider than the model so there's a deck worth landing on
+const WIDTH_SCALE = 1.5;
+
+// How far (metres) each end of a bridge reaches onto the bank
+const BANK_OVERLAP = 2;
+
+// Step (metres) along the line of play when looking for water, and the gap between two
+// stretches of water that is still bridged as one
+const SAMPLE_STEP = 1;
+const MERGE_GAP = 3;
+
+// Longest bridge (metres) worth building
+const MAX_SPAN = 80;
+
+// How far (metres) below the deck the ball may sit and still count as on it
+const DECK_TOLERANCE = 0.1;
+
+/**
+ * Bridges for ThreeWood
+ * Carries the line of play over water with footbridges the ball can land on and roll across.
+ * Each deck is a gentle arch from bank to bank, treated as solid down to the ground beneath
+ */
+class Bridges {
+  /**
+   * @param {TerrainGenerator} terrain - Terrain with its heightmap, surfaces and fairway built
+   */
+  constructor(terrain) {
+    this.terrain = terrain;
+
+    // Bridges ({ x, z, heading, length, width, startHeight, endHeight, rise }) - centre, direction of the
+    // deck in radians from +X towards +Z, size and the deck height at each end
+    this.items = [];
+
+    // Bridge models, created on demand
+    this.group = null;
+  }
+
+  /**
+   * Bridge every stretch of water the line of play crosses
+   * @returns {Bridges} this
+   */
+  generate() {
+    this.items = [];
+
+    const { terrain } = this;
+    const { waterLevel } = terrain.options;
+    const fairwayLength = terrain.fairwayPath.length;
+
+    // Stretches of water along the line of play, as [start, end] distances from the tee end
+    const crossings = [];
+    let start = null;
+    let lastWet = null;
+    for (let along = 0; along <= fairwayLength; along += SAMPLE_STEP) {
+      const point = terrain.getFairwayPointAt(along);
+      if (terrain.getSurfaceTypeAtPosition(point.x, point.z) !== 'water') continue;
+
+      if (start === null || along - lastWet > MERGE_GAP) {
+        if (start !== null) crossings.push([start, lastWet]);
+        start = along;
+      }
+      lastWet = along;
+    }
+    if (start !== null) crossings.push([start, lastWet]);
+
+    crossings.forEach(([wetStart, wetEnd]) => {
+      const a = terrain.getFairwayPointAt(wetStart - BANK_OVERLAP);
+      const b = terrain.getFairwayPointAt(wetEnd + BANK_OVERLAP);
+      const length = Math.hypot(b.x - a.x, b.z - a.z);
+      if (length < 1 || length > MAX_SPAN) return;
+
+      this.items.push({
+        x: (a.x + b.x) / 2,
+        z: (a.z + b.z) / 2,
+        heading: Math.atan2(b.z - a.z, b.x - a.x),
+        length,
+        width: MODEL_DECK_WIDTH * WIDTH_SCALE,
+        startHeight: Math.max(terrain.getGroundHeightAtPosition(a.x, a.z), waterLevel + 0.3),
+        endHeight: Math.max(terrain.getGroundHeightAtPosition(b.x, b.z), waterLevel + 0.3),
+        rise: MODEL_DECK_RISE
+      });
+    });
+
+    return this;
+  }
+
+  /**
+   * Find the deck above a point
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {Object|null} { bridge, height, normal } or null if no bridge covers the point
+   */
+  getDeck(x, z) {
+    for (const bridge of this.items) {
+      const cos = Math.cos(bridge.heading);
+      const sin = Math.sin(bridge.heading);
+      const u = (x - bridge.x) * cos + (z - bridge.z) * sin;
+      const v = -(x - bridge.x) * sin + (z - bridge.z) * cos;
+      if (Math.abs(u) > bridge.length / 2 || Math.abs(v) > bridge.width / 2) continue;
+
+      // Slope of the deck along the bridge
+      const slope = (bridge.endHeight - bridge.startHeight) / bridge.length - 8 * bridge.rise * u / (bridge.length ** 2);
+      return {
+        bridge,
+        height: this.getDeckHeight(bridge, u),
+        normal: new THREE.Vector3(-slope * cos, 1, -slope * sin).normalize()
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Height of a bridge deck
+   * @param {Object} bridge - Bridge from items
+   * @param {number} u - Distance along the bridge from its centre
+   * @returns {number} Deck height
+   */
+  getDeckHeight(bridge, u) {
+    const t = u / bridge.length + 0.5;
+    const arch = 1 - (2 * u / bridge.length) ** 2;
+    return bridge.startHeight + (bridge.endHeight - bridge.startHeight) * t + bridge.rise * arch;
+  }
+
+  /**
+   * Check whether a point is standing on a bridge deck rather than on the ground or in the water below
+   * @param {number} x - X coordinate in world space
+   * @param {number} y - Height of the bottom of the ball
+   * @param {number} z - Z coordinate in world space
+   * @returns {boolean}
+   */
+  isOnDeck(x, y, z) {
+    const deck = this.getDeck(x, z);
+    return deck !== null && y >= deck.height - DECK_TOLERANCE;
+  }
+
+  /**
+   * Find where a ray first meets a bridge deck
+   * @param {THREE.Vector3} origin - Start of the ray
+   * @param {THREE.Vector3} direction - Unit direction of the ray
+   * @param {number} maxDistance - Longest distance to test
+   * @returns {Object|null} { point, normal, distance } or null if the ray misses every deck
+   */
+  raycast(origin, direction, maxDistance) {
+    let best = null;
+
+    this.items.forEach((bridge) => {
+      const cos = Math.cos(bridge.heading);
+      const sin = Math.sin(bridge.heading);
+      const u0 = (origin.x - bridge.x) * cos + (origin.z - bridge.z) * sin;
+      const v0 = -(origin.x - bridge.x) * sin + (origin.z - bridge.z) * cos;
+      const du = direction.x * cos + direction.z * sin;
+      const dv = -direction.x * sin + direction.z * cos;
+
+      // Clip the ray to the footprint of the deck
+      let tStart = 0;
+      let tEnd = Math.min(maxDistance, best ? best.distance : Infinity);
+      const clip = (start, step, halfSize) => {
+        if (Math.abs(step) < 1e-12) {
+          if (Math.abs(start) > halfSize) tEnd = -1;
+          return;
+        }
+        const t1 = (-halfSize - start) / step;
+        const t2 = (halfSize - start) / step;
+        tStart = Math.max(tStart, Math.min(t1, t2));
+        tEnd = Math.min(tEnd, Math.max(t1, t2));
+      };
+      clip(u0, du, bridge.length / 2);
+      clip(v0, dv, bridge.width / 2);
+      if (tStart > tEnd) return;
+
+      // Height of the ray above the deck is a quadratic in the distance along the ray
+      const k = 4 * bridge.rise / (bridge.length ** 2);
+      const grade = (bridge.endHeight - bridge.startHeight) / bridge.length;
+      const base = (bridge.startHeight + bridge.endHeight) / 2 + bridge.rise;
+      const a = k * du * du;
+      const b = direction.y - grade * du + 2 * k * u0 * du;
+      const c = origin.y - base - grade * u0 + k * u0 * u0;
+      const clearanceAt = t => (a * t + b) * t + c;
+
+      // Entering the footprint already below the deck hits its end or side straight away
+      let t = null;
+      if (clearanceAt(tStart) <= 0) {
+        t = tStart;
+      } else if (Math.abs(a) < 1e-12) {
+        if (b < 0) t = -c / b;
+      } else {
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant >= 0) {
+          const root = Math.sqrt(discriminant);
+          t = [(-b - root) / (2 * a), (-b + root) / (2 * a)]
+            .filter(candidate => candidate >= tStart)
+            .reduce((first, candidate) => Math.min(first, candidate), Infinity);
+        }
+      }
+      if (t === null || !(t <= tEnd)) return;
+
+      const point = origin.clone().addScaledVector(direction, t);
+      const deck = this.getDeck(point.x, point.z);
+      if (!deck) return;
+      point.y = deck.height;
+      best = { point, normal: deck.normal, distance: t };
+    });
+
+    return best;
+  }
+
+  /**
+   * Build the bridge models
+   * @param {THREE.Scene} [scene] - Scene to add the bridges to
+   * @returns {THREE.Group} Group holding the bridges (filled in once the model has loaded)
+   */
+  createMeshes(scene) {
+    this.group = new THREE.Group();
+    this.group.name = 'bridges';
+
+    if (this.items.length > 0) {
+      const group = this.group;
+      new GLTFLoader().load(
+        MODEL_PATH,
+        (gltf) => {
+          // The group is gone if the hole was torn down while the model loaded
+          if (this.group !== group) return;
+
+          this.items.forEach((bridge) => {
+            const rise = bridge.endHeight - bridge.startHeight;
+            const model = gltf.scene.clone();
+            model.scale.set(Math.hypot(bridge.length, rise) / MODEL_DECK_LENGTH, 1, WIDTH_SCALE);
+            model.position.set(bridge.x, (bridge.startHeight + bridge.endHeight) / 2, bridge.z);
+            // Turn to face along the line of play, then tilt from bank to bank
+            model.rotation.set(0, -bridge.heading, Math.atan2(rise, bridge.length), 'YZX');
+            model.traverse((child) => {
+              if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+              }
+            });
+            group.add(model);
+          });
+        },
+        undefined,
+        (error) => {
+          console.error('Error loading bridge model:', error);
+        }
+      );
+    }
+
+    if (scene) {
+      scene.add(this.group);
+    }
+
+    return this.group;
+  }
+
+  /**
+   * Remove the bridges from the scene and free GPU resources
+   * @param {THREE.Scene} [scene] - Scene the bridges were added to
+   */
+  dispose(scene) {
+    if (!this.group) return;
+    if (scene) scene.remove(this.group);
+    this.group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+    this.group = null;
+  }
+}
+
+export default Bridges;
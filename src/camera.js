@@ -63,7 +63,7 @@ class CameraController {
     for (let i = 0; i < 10; i++) {
       this.enforceBallInSafeBox();
       // Check if ball is in the box, break if so
-      const ballScreenPos = this.target.position.clone().project(this.camera);
+      const ballScreenPos = this.getTargetPosition().clone().project(this.camera);
       const screenX = (ballScreenPos.x + 1) / 2;
       const screenY = (1 - ballScreenPos.y) / 2;
       const { minX, maxX, minY, maxY } = this.options.safeBox;
@@ -83,12 +83,13 @@ class CameraController {
     const previousCameraPosition = this.camera.position.clone();
     
     // Calculate target velocity for prediction
-    if (this.target.position) {
-      this.targetVelocity.subVectors(this.target.position, this.lastTargetPosition)
+    const targetPosition = this.getTargetPosition();
+    if (targetPosition) {
+      this.targetVelocity.subVectors(targetPosition, this.lastTargetPosition)
         .divideScalar(Math.max(deltaTime, 0.016)); // Prevent division by zero
       
       // Store current position for next frame
-      this.lastTargetPosition.copy(this.target.position);
+      this.lastTargetPosition.copy(targetPosition);
     }
     
     // Update target positions based on current mode
@@ -150,6 +151,16 @@ class CameraController {
     if (this.currentPosition.y < terrainHeight + safetyMargin + this.options.minFollowHeight) {
       this.currentPosition.y = terrainHeight + safetyMargin + this.options.minFollowHeight;
     }
+    
+    // If a hill hides the ball, pull the camera in to the near side of it
+    const ballPosition = this.getTargetPosition().clone();
+    ballPosition.y += safetyMargin;
+    const toCamera = this.currentPosition.clone().sub(ballPosition);
+    const hit = this.target.terrain.raycast(ballPosition, toCamera, toCamera.length());
+    if (hit) {
+      this.currentPosition.copy(hit.point).addScaledVector(hit.normal, safetyMargin);
+      this.currentPosition.y += safetyMargin;
+    }
   }
   
   /**
@@ -172,12 +183,21 @@ class CameraController {
     }
   }
   
+  /**
+   * Where the target is drawn - for the ball, its interpolated render position rather than the
+   * latest physics step, so the camera moves as smoothly as the ball however many steps a frame runs
+   * @returns {THREE.Vector3}
+   */
+  getTargetPosition() {
+    return this.target.renderPosition || this.target.position;
+  }
+  
   /**
    * Update camera targets for follow mode
    */
   updateFollowMode() {
     // Position behind the ball
-    const ballPosition = this.target.position;
+    const ballPosition = this.getTargetPosition();
     
     // Direction ball is moving (or a default direction if stationary)
     let direction;
@@ -250,7 +270,7 @@ class CameraController {
    */
   updateOverviewMode() {
     // Position high above the ball
-    const ballPosition = this.target.position;
+    const ballPosition = this.getTargetPosition();
     
     this.targetPosition.set(
       ballPosition.x,
@@ -272,7 +292,7 @@ class CameraController {
     this.targetLookAt.copy(aimingTargets.lookAt);
     
     // After adjusting, check if the ball is off screen
-    const ballScreenPos = this.target.position.clone().project(this.camera);
+    const ballScreenPos = this.getTargetPosition().clone().project(this.camera);
     if (
       (ballScreenPos.x < -1 || ballScreenPos.x > 1 || ballScreenPos.y < -1 || ballScreenPos.y > 1)
       && !this._ballOffScreenWarned
@@ -286,7 +306,7 @@ class CameraController {
     }
     // --- Debug logging ---
     if (window.DEBUG_CAMERA) {
-      console.log('[CameraController][AIMING] Mode: AIMING, Cam Target:', this.targetPosition.toArray(), 'LookAt Target:', this.targetLookAt.toArray(), 'Ball:', this.target.position.toArray());
+      console.log('[CameraController][AIMING] Mode: AIMING, Cam Target:', this.targetPosition.toArray(), 'LookAt Target:', this.targetLookAt.toArray(), 'Ball:', this.getTargetPosition().toArray());
     }
   }
   
@@ -295,7 +315,7 @@ class CameraController {
    */
   updateWatchingMode() {
     // In watching mode, we use a dynamic position based on the ball's movement
-    const ballPosition = this.target.position;
+    const ballPosition = this.getTargetPosition();
     
     // --- Start: Modified velocity check ---
     // Prioritize current velocity if significant, otherwise use calculated frame-to-frame velocity
@@ -391,8 +411,9 @@ class CameraController {
     this.currentLookAt.copy(this.targetLookAt);
     
     // Initialize last position
-    if (this.target.position) {
-      this.lastTargetPosition.copy(this.target.position);
+    const targetPosition = this.getTargetPosition();
+    if (targetPosition) {
+      this.lastTargetPosition.copy(targetPosition);
     }
     
     // Adjust to avoid terrain clipping
@@ -458,7 +479,7 @@ class CameraController {
    */
   watchBallInFlight() {
     // --- Start: New code to immediately position camera ---
-    const ballPosition = this.target.position;
+    const ballPosition = this.getTargetPosition();
     const aimDirection = this.getAimDirection(); // Get the direction we were aiming
 
     // Calculate initial camera position behind the ball based on aim direction
@@ -493,7 +514,7 @@ class CameraController {
    */
   enforceBallInSafeBox() {
     // Project ball position to NDC
-    const ballScreenPos = this.target.position.clone().project(this.camera);
+    const ballScreenPos = this.getTargetPosition().clone().project(this.camera);
     const screenX = (ballScreenPos.x + 1) / 2;
     const screenY = (1 - ballScreenPos.y) / 2;
     const { minX, maxX, minY, maxY } = this.options.safeBox;
@@ -524,7 +545,7 @@ class CameraController {
    * Helper to compute camera position/lookAt for aiming mode centering
    */
   getAimingCameraTargets() {
-    const ballPosition = this.target.position;
+    const ballPosition = this.getTargetPosition();
     const behindDistance = 5.0; // Distance behind the ball
     const lookAheadFactor = 5.0; // How far in front of the ball the camera looks
 
@@ -0,0 +1,255 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+// Half-width of the path (metres) - every terrain vertex this close to the centre line is path
+const HALF_WIDTH = 2.5;
+
+// Shoulder (metres) either side where the levelled path blends back into the ground
+const SHOULDER_WIDTH = 3;
+
+// Gap (metres) between the edge of the fairway and the path, and how much further out it may swing to miss a hazard
+const FAIRWAY_GAP = 6;
+const MAX_DETOUR = 15;
+
+// Spacing (metres) of the centre line points
+const SAMPLE_SPACING = 5;
+
+// The path stops this far (metres) short of the edge of the green
+const GREEN_CLEARANCE = 8;
+
+// Points either side averaged for the height of the path, so it climbs and falls gently
+const HEIGHT_WINDOW = 4;
+
+// Parked golf carts
+const CART_MODEL_PATH = 'src/Assets/Golf cart.glb';
+const CART_LENGTH = 2.4;
+const CART_PARKING = [0.1, 0.9]; // Fractions of the way along the path
+
+/**
+ * Cart path for ThreeWood
+ * Routes a path from the tee to the green alongside the fairway, levels the ground under it
+ * and parks golf carts along it
+ */
+class CartPath {
+  /**
+   * @param {TerrainGenerator} terrain - Terrain the path runs over
+   */
+  constructor(terrain) {
+    this.terrain = terrain;
+
+    // Centre line points ({ x, y, z }) from the tee end to the green end
+    this.points = [];
+
+    // Parked carts ({ x, y, z, heading }), placed when the meshes are created
+    this.carts = [];
+
+    // Cart models, created on demand
+    this.group = null;
+  }
+
+  /**
+   * Route the path beside the fairway, swinging out around hazards and low ground
+   * Needs the fairway, hazards and green planned, but not the heightmap
+   * @returns {CartPath} this
+   */
+  plan() {
+    const { terrain } = this;
+    const { waterLevel } = terrain.options;
+
+    // Take whichever side of the fairway gets the path closest to the green
+    const side = terrain.random() < 0.5 ? -1 : 1;
+    const routes = [side, -side].map(routeSide => this.route(routeSide));
+    this.points = routes[1].length > routes[0].length ? routes[1] : routes[0];
+
+    // Run at the height of the ground, smoothed along the path and kept out of the water
+    const groundHeights = this.points.map(point => Math.max(terrain.getNoiseHeight(point.x, point.z), waterLevel + 0.4));
+    this.points.forEach((point, i) => {
+      const window = groundHeights.slice(Math.max(0, i - HEIGHT_WINDOW), i + HEIGHT_WINDOW + 1);
+      point.y = window.reduce((sum, height) => sum + height, 0) / window.length;
+    });
+
+    return this;
+  }
+
+  /**
+   * Lay out the centre line down one side of the fairway
+   * The path ends beside the green, or earlier if a hazard leaves no way round
+   * @param {number} side - 1 for the player's right, -1 for the left
+   * @returns {Object[]} Centre line points ({ x, y, z }), heights not yet set
+   */
+  route(side) {
+    const { terrain } = this;
+    const { width, length, waterLevel } = terrain.options;
+    const { holePosition, greenSize } = terrain;
+    const greenReach = greenSize * 1.5 + GREEN_CLEARANCE;
+
+    const isClear = (x, z) =>
+      Math.abs(x) < width / 2 - 10 && Math.abs(z) < length / 2 - 10 &&
+      terrain.getNoiseHeight(x, z) > waterLevel + 0.3 &&
+      terrain.hazards.every(hazard => Math.hypot(x - hazard.x, z - hazard.z) > hazard.boundingRadius + HALF_WIDTH + 2);
+
+    // Walk the fairway, finding how far out the path must swing at each point
+    const samples = [];
+    for (let along = 0; along <= terrain.fairwayPath.length; along += SAMPLE_SPACING) {
+      const point = terrain.getFairwayPointAt(along);
+      const normalX = -point.dirZ * side;
+      const normalZ = point.dirX * side;
+      const spotAt = (detour) => {
+        const offset = point.width + FAIRWAY_GAP + HALF_WIDTH + detour;
+        return [point.x + normalX * offset, point.z + normalZ * offset];
+      };
+
+      let detour = 0;
+      while (detour <= MAX_DETOUR && !isClear(...spotAt(detour))) detour += 1;
+      if (detour > MAX_DETOUR) break;
+
+      const [x, z] = spotAt(0);
+      if (Math.hypot(x - holePosition.x, z - holePosition.z) < greenReach) break;
+      samples.push({ spotAt, detour });
+    }
+
+    // Swing out a little early and come back a little late, so the path doesn't zig-zag
+    return samples.map((sample, i) => {
+      const nearby = samples.slice(Math.max(0, i - 2), i + 3);
+      const [x, z] = sample.spotAt(Math.max(...nearby.map(other => other.detour)));
+      return { x, y: 0, z };
+    });
+  }
+
+  /**
+   * Use a saved centre line instead of routing one
+   * @param {number[][]} points - Centre line points as [x, y, z]
+   * @returns {CartPath} this
+   */
+  setPoints(points) {
+    this.points = points.map(([x, y, z]) => ({ x, y, z }));
+    return this;
+  }
+
+  /**
+   * Find the closest point on the centre line
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {Object|null} { distance, y, dirX, dirZ } - distance from the centre line, path height there and
+   *   direction of the path, or null if there is no path
+   */
+  getProjection(x, z) {
+    let best = null;
+
+    for (let i = 0; i < this.points.length - 1; i++) {
+      const a = this.points[i];
+      const b = this.points[i + 1];
+      const abX = b.x - a.x;
+      const abZ = b.z - a.z;
+      const lengthSq = abX * abX + abZ * abZ;
+      if (lengthSq === 0) continue;
+
+      const t = Math.max(0, Math.min(1, ((x - a.x) * abX + (z - a.z) * abZ) / lengthSq));
+      const distance = Math.hypot(x - a.x - abX * t, z - a.z - abZ * t);
+      if (!best || distance < best.distance) {
+        const segmentLength = Math.sqrt(lengthSq);
+        best = { distance, y: a.y + (b.y - a.y) * t, dirX: abX / segmentLength, dirZ: abZ / segmentLength };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Check whether a point is on the path
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {boolean}
+   */
+  isOnPath(x, z) {
+    const projection = this.getProjection(x, z);
+    return projection !== null && projection.distance < HALF_WIDTH;
+  }
+
+  /**
+   * Level the ground under the path and blend its shoulders into the terrain around it
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @param {number} y - Height of the ground without the path
+   * @returns {number} Height with the path cut in
+   */
+  levelGround(x, z, y) {
+    const projection = this.getProjection(x, z);
+    if (!projection || projection.distance >= HALF_WIDTH + SHOULDER_WIDTH) return y;
+    if (projection.distance < HALF_WIDTH) return projection.y;
+
+    return THREE.MathUtils.lerp(projection.y, y, (projection.distance - HALF_WIDTH) / SHOULDER_WIDTH);
+  }
+
+  /**
+   * Park golf carts beside the path
+   * @param {THREE.Scene} [scene] - Scene to add the carts to
+   * @returns {THREE.Group} Group holding the carts (filled in once the model has loaded)
+   */
+  createMeshes(scene) {
+    this.group = new THREE.Group();
+    this.group.name = 'cart-path';
+
+    // Pulled onto the shoulder, facing along the path
+    this.carts = [];
+    if (this.points.length > 1) {
+      CART_PARKING.forEach((fraction) => {
+        const point = this.points[Math.round(fraction * (this.points.length - 1))];
+        const { dirX, dirZ } = this.getProjection(point.x, point.z);
+        const x = point.x - dirZ * (HALF_WIDTH + 1);
+        const z = point.z + dirX * (HALF_WIDTH + 1);
+        this.carts.push({ x, y: this.terrain.getHeightAtPosition(x, z), z, heading: Math.atan2(-dirZ, dirX) });
+      });
+    }
+
+    if (this.carts.length > 0) {
+      const group = this.group;
+      new GLTFLoader().load(
+        CART_MODEL_PATH,
+        (gltf) => {
+          // The group is gone if the hole was torn down while the model loaded
+          if (this.group !== group) return;
+
+          const box = new THREE.Box3().setFromObject(gltf.scene);
+          const scale = CART_LENGTH / (box.max.x - box.min.x);
+          this.carts.forEach((cart) => {
+            const model = gltf.scene.clone();
+            model.scale.setScalar(scale);
+            model.position.set(cart.x, cart.y - box.min.y * scale, cart.z);
+            model.rotation.y = cart.heading;
+            model.traverse((child) => {
+              if (child.isMesh) child.castShadow = true;
+            });
+            group.add(model);
+          });
+        },
+        undefined,
+        (error) => {
+          console.error('Error loading golf cart model:', error);
+        }
+      );
+    }
+
+    if (scene) {
+      scene.add(this.group);
+    }
+
+    return this.group;
+  }
+
+  /**
+   * Remove the carts from the scene and free GPU resources
+   * @param {THREE.Scene} [scene] - Scene the carts were added to
+   */
+  dispose(scene) {
+    if (!this.group) return;
+    if (scene) scene.remove(this.group);
+    this.group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+    this.group = null;
+  }
+}
+
+export default CartPath;
@@ -0,0 +1,146 @@
+/**
+ * Course file format for ThreeWood
+ * Saves generated or hand-made holes as versioned JSON and reads them back
+ */
+
+export const COURSE_FORMAT = 'threewood-course';
+export const COURSE_FORMAT_VERSION = 1;
+
+// One character per surface type in the encoded surface map
+export const SURFACE_CODES = {
+  water: 'w',
+  bunker: 'b',
+  rough: 'r',
+  fairway: 'f',
+  green: 'g',
+  cart_path: 'c'
+};
+
+const SURFACE_NAMES = Object.fromEntries(
+  Object.entries(SURFACE_CODES).map(([name, code]) => [code, name])
+);
+
+/**
+ * Encode a list of surface type names as a compact string
+ * @param {string[]} surfaces - Surface type per heightmap vertex
+ * @returns {string} One character per vertex
+ */
+export function encodeSurfaceMap(surfaces) {
+  return surfaces.map(surface => SURFACE_CODES[surface] || SURFACE_CODES.rough).join('');
+}
+
+/**
+ * Get the surface type name for a character of an encoded surface map
+ * @param {string} code - Surface code
+ * @returns {string|null} Surface type name, or null for an unknown code
+ */
+export function decodeSurface(code) {
+  return SURFACE_NAMES[code] || null;
+}
+
+/**
+ * Wrap exported holes in a course file
+ * @param {Array<Object>} holes - Holes from TerrainGenerator.exportHole()
+ * @param {Object} [meta] - Extra course details ({ name })
+ * @returns {Object} Course data, ready for JSON.stringify
+ */
+export function createCourse(holes, meta = {}) {
+  return {
+    format: COURSE_FORMAT,
+    version: COURSE_FORMAT_VERSION,
+    name: meta.name || 'Untitled course',
+    createdAt: new Date().toISOString(),
+    holes
+  };
+}
+
+/**
+ * Check that course data can be loaded by this version of the game
+ * @param {Object} course - Parsed course file
+ * @throws {Error} If the data is not a usable course
+ */
+export function validateCourse(course) {
+  if (!course || course.format !== COURSE_FORMAT) {
+    throw new Error('Not a ThreeWood course file');
+  }
+  if (!Number.isInteger(course.version) || course.version > COURSE_FORMAT_VERSION) {
+    throw new Error(`Unsupported course version ${course.version} (this game reads up to ${COURSE_FORMAT_VERSION})`);
+  }
+  if (!Array.isArray(course.holes) || course.holes.length === 0) {
+    throw new Error('Course has no holes');
+  }
+
+  course.holes.forEach((hole, i) => {
+    const { segmentsW, segmentsL } = hole.terrain || {};
+    const vertexCount = (segmentsW + 1) * (segmentsL + 1);
+    if (!Number.isInteger(segmentsW) || !Number.isInteger(segmentsL)) {
+      throw new Error(`Hole ${i + 1} is missing its terrain size`);
+    }
+    if (!Array.isArray(hole.heightMap) || hole.heightMap.length !== vertexCount) {
+      throw new Error(`Hole ${i + 1} heightmap should have ${vertexCount} values`);
+    }
+    if (hole.surfaceMap && hole.surfaceMap.length !== vertexCount) {
+      throw new Error(`Hole ${i + 1} surface map should have ${vertexCount} values`);
+    }
+    if (!Array.isArray(hole.tees) || hole.tees.length === 0 || !Array.isArray(hole.pins) || hole.pins.length === 0) {
+      throw new Error(`Hole ${i + 1} needs at least one tee and one pin`);
+    }
+  });
+}
+
+/**
+ * Get one hole from a course
+ * @param {Object} course - Course data
+ * @param {number} number - Hole number (1-based)
+ * @returns {Object} Hole data
+ * @throws {Error} If the course is invalid or has no such hole
+ */
+export function getCourseHole(course, number) {
+  validateCourse(course);
+  const hole = course.holes[number - 1];
+  if (!hole) {
+    throw new Error(`Course "${course.name}" has no hole ${number}`);
+  }
+  return hole;
+}
+
+/**
+ * Offer course data to the user as a JSON download
+ * @param {Object} course - Course data
+ * @param {string} [filename] - Name for the downloaded file
+ */
+export function downloadCourse(course, filename = 'course.json') {
+  const blob = new Blob([JSON.stringify(course)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Fetch the course named in the page URL (?course=path/to/course.json)
+ * Falls back to a random course if there is no parameter or the file can't be used
+ * @returns {Promise<Object|null>} Course data, or null to generate holes
+ */
+export async function loadCourseFromUrl() {
+  if (typeof window === 'undefined' || !window.location) return null;
+
+  const path = new URLSearchParams(window.location.search).get('course');
+  if (!path) return null;
+
+  try {
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const course = await response.json();
+    validateCourse(course);
+    console.log(`Loaded course "${course.name}" (${course.holes.length} holes) from ${path}`);
+    return course;
+  } catch (error) {
+    console.error(`Could not load course from ${path}, generating one instead:`, error);
+    return null;
+  }
+}
@@ -0,0 +1,53 @@
+import { normalizeSeed } from './random.js';
+
+/**
+ * Difficulty settings for ThreeWood
+ * Each setting picks the tee box played from, how tucked away the pin is and whether the
+ * predicted flight is shown while aiming
+ */
+export const DIFFICULTIES = {
+  // Forward tees and pins in the middle of the green
+  casual: { tee: 'forward', pin: 'easy', trajectoryPreview: true },
+  // Middle tees, pins a few paces off the centre
+  regular: { tee: 'middle', pin: 'medium', trajectoryPreview: true },
+  // Back tees and pins tucked against the edge of the green or a hazard, and no help judging the shot
+  expert: { tee: 'back', pin: 'hard', trajectoryPreview: false }
+};
+
+/**
+ * Whether the predicted flight is offered while aiming (P can still hide it)
+ * @param {string|null} difficulty - Difficulty name, or null when none was picked
+ * @returns {boolean}
+ */
+export function hasTrajectoryPreview(difficulty) {
+  return difficulty ? DIFFICULTIES[difficulty].trajectoryPreview : true;
+}
+
+/**
+ * Read the difficulty from the page URL (?difficulty=casual|regular|expert)
+ * @returns {string|null} Difficulty name, or null if the URL has none (or an unknown one)
+ */
+export function getDifficultyFromUrl() {
+  if (typeof window === 'undefined' || !window.location) return null;
+
+  const param = new URLSearchParams(window.location.search).get('difficulty');
+  if (param === null) return null;
+
+  const name = param.trim().toLowerCase();
+  return DIFFICULTIES[name] ? name : null;
+}
+
+/**
+ * Read the pin seed from the page URL (?pins=...)
+ * Without one the pins follow today's date, so they move every day but everyone plays the same ones
+ * @returns {number} Normalized seed
+ */
+export function getPinSeedFromUrl() {
+  const param = typeof window !== 'undefined' && window.location
+    ? new URLSearchParams(window.location.search).get('pins')
+    : null;
+  if (param !== null && param.trim() !== '') return normalizeSeed(param);
+
+  const today = new Date();
+  return normalizeSeed(`${today.getFullYear()}-${today.getMonth() + 1}-${today.getDate()}`);
+}
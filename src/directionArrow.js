@@ -26,12 +26,19 @@ export class DirectionArrow {
     this.label.textContent = 'HOLE';
     this.element.appendChild(this.label);
     
-    // Create wind indicator (hidden by default)
+    // Create wind indicator (hidden by default) - a small arrow showing which way it blows, and the speed
     this.windIndicator = document.createElement('div');
     this.windIndicator.className = 'wind-indicator';
     this.windIndicator.style.display = 'none';
     this.element.appendChild(this.windIndicator);
     
+    this.windArrow = document.createElement('div');
+    this.windArrow.className = 'wind-arrow';
+    this.windIndicator.appendChild(this.windArrow);
+    
+    this.windText = document.createElement('span');
+    this.windIndicator.appendChild(this.windText);
+    
     // Add styles
     this.addStyles();
   }
@@ -88,10 +95,22 @@ export class DirectionArrow {
         position: absolute;
         top: 10px;
         width: 100%;
-        text-align: center;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 3px;
         color: #00ffff;
         font-size: 10px;
       }
+      
+      .direction-arrow .wind-arrow {
+        width: 0;
+        height: 0;
+        border-left: 4px solid transparent;
+        border-right: 4px solid transparent;
+        border-bottom: 9px solid #00ffff;
+        transform-origin: center;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -114,25 +133,8 @@ export class DirectionArrow {
     // Calculate angle in radians for the direction to hole
     const angleToHole = Math.atan2(direction.y, direction.x);
 
-    // Calculate camera's forward direction in XZ plane
-    const cameraDirection = new THREE.Vector3();
-    cameraDirection.subVectors(ballPosition, cameraPosition).normalize();
-    const cameraAngle = Math.atan2(cameraDirection.z, cameraDirection.x);
-
-    // Calculate the relative angle between the camera's forward direction and the hole's direction
-    // We want the arrow to point 'up' when the hole is directly in front of the camera
-    // and rotate clockwise as the hole moves to the right.
-    let relativeAngle = angleToHole - cameraAngle;
-
-    // Normalize angle to be between -PI and PI
-    if (relativeAngle > Math.PI) relativeAngle -= 2 * Math.PI;
-    if (relativeAngle < -Math.PI) relativeAngle += 2 * Math.PI;
-
-    // Convert to degrees for CSS rotation
-    const angleInDegrees = relativeAngle * (180 / Math.PI);
-
     // Update arrow rotation
-    this.arrow.style.transform = `rotate(${angleInDegrees}deg)`;
+    this.arrow.style.transform = `rotate(${this.getScreenAngle(angleToHole, ballPosition, cameraPosition)}deg)`;
     
     // Calculate distance to hole
     const distance = direction.length();
@@ -144,22 +146,52 @@ export class DirectionArrow {
   
   /**
    * Update the wind indicator
-   * @param {Object} wind - Wind data with direction and speed
+   * @param {Object} wind - Wind data ({ speed, direction }) - speed in mph and the direction it blows
+   *   towards in radians from +X towards +Z, or null to hide the indicator
+   * @param {THREE.Vector3} ballPosition - Current position of the ball
+   * @param {THREE.Vector3} cameraPosition - Current position of the camera
    */
-  updateWind(wind) {
+  updateWind(wind, ballPosition, cameraPosition) {
     if (!wind) {
       this.windIndicator.style.display = 'none';
       return;
     }
     
     // Show wind indicator
-    this.windIndicator.style.display = 'block';
+    this.windIndicator.style.display = 'flex';
     
     // Update wind text
-    this.windIndicator.textContent = `WIND: ${wind.speed} mph`;
+    this.windText.textContent = wind.speed > 0 ? `WIND: ${wind.speed} mph` : 'CALM';
     
-    // Add a small arrow indicating wind direction
-    // This could be enhanced later
+    // Point the arrow the way the wind blows, as seen from the camera
+    this.windArrow.style.display = wind.speed > 0 ? 'block' : 'none';
+    this.windArrow.style.transform = `rotate(${this.getScreenAngle(wind.direction, ballPosition, cameraPosition)}deg)`;
+  }
+  
+  /**
+   * Turn a world direction into a rotation on screen
+   * The result points 'up' for a direction straight ahead of the camera and turns clockwise
+   * as the direction moves to the right
+   * @param {number} angle - Direction in the XZ plane, in radians from +X towards +Z
+   * @param {THREE.Vector3} ballPosition - Current position of the ball
+   * @param {THREE.Vector3} cameraPosition - Current position of the camera
+   * @returns {number} CSS rotation in degrees
+   */
+  getScreenAngle(angle, ballPosition, cameraPosition) {
+    // Calculate camera's forward direction in XZ plane
+    const cameraDirection = new THREE.Vector3();
+    cameraDirection.subVectors(ballPosition, cameraPosition).normalize();
+    const cameraAngle = Math.atan2(cameraDirection.z, cameraDirection.x);
+
+    // Calculate the relative angle between the camera's forward direction and the direction
+    let relativeAngle = angle - cameraAngle;
+
+    // Normalize angle to be between -PI and PI
+    if (relativeAngle > Math.PI) relativeAngle -= 2 * Math.PI;
+    if (relativeAngle < -Math.PI) relativeAngle += 2 * Math.PI;
+
+    // Convert to degrees for CSS rotation
+    return relativeAngle * (180 / Math.PI);
   }
   
   /**
@@ -6,14 +6,31 @@ import CameraController from './camera.js';
 import UI from './ui.js';
 import handleHoleComplete from './holeComplete.js';
 import { DirectionArrow } from './directionArrow.js';
+import Round, { getHoleCountFromUrl } from './round.js';
+import { getSeedFromUrl } from './random.js';
+import { getDifficultyFromUrl, getPinSeedFromUrl, hasTrajectoryPreview } from './difficulty.js';
+import { getThemeFromUrl } from './themes.js';
+import { downloadCourse } from './courseFormat.js';
+import HoleEditor from './holeEditor.js';
+import TrajectoryPreview from './trajectoryPreview.js';
 
 /**
  * Main game controller for ThreeWood
  * Integrates all components and handles game loop
  */
 class Game {
-  constructor(fpsCounter) {
+  /**
+   * @param {FPSCounter} fpsCounter - FPS display
+   * @param {Object} [options]
+   * @param {Object} [options.course] - Course file to play instead of generating holes
+   * @param {Object} [options.images] - Heightmap and surface mask pixels ({ heightmap, mask }) for a single drawn hole
+   * @param {Array<Object>} [options.minimaps] - Course maps read from the bundled minimaps, one per hole
+   */
+  constructor(fpsCounter, options = {}) {
     this.fpsCounter = fpsCounter;
+    this.course = options.course || null;
+    this.images = options.images || null;
+    this.minimaps = options.minimaps || null;
     // Scene and renderer
     this.scene = new THREE.Scene();
     this.renderer = null;
@@ -27,6 +44,7 @@ class Game {
     this.terrainMesh = null;
     this.ball = null;
     this.shotArrow = null;
+    this.trajectoryPreview = null;
     this.directionArrow = null;
     
     // UI
@@ -38,11 +56,34 @@ class Game {
     this.LOFT_INCREMENT = 1; // Degrees to change loft per input
     this.currentLoft = 10; // Initial loft angle in degrees
     
+    // The first shot of the game is a set launch
+    this.FIRST_HIT_POWER = 95;
+    this.FIRST_HIT_LOFT = 30;
+    
+    // Round state
+    this.round = null;
+    
+    // Tee boxes and pins in play (?difficulty=casual|regular|expert, ?pins=...)
+    this.difficulty = getDifficultyFromUrl();
+    this.pinSeed = getPinSeedFromUrl();
+    
+    // Predicted flight while aiming (P toggles it, [ and ] pick the power it's shown for)
+    this.showTrajectoryPreview = hasTrajectoryPreview(this.difficulty);
+    this.previewPower = 100;
+    this.PREVIEW_POWER_STEP = 10;
+    
+    // Course theme (?theme=parkland|links|desert|winter)
+    this.theme = getThemeFromUrl();
+    
+    // Hole editor, created the first time it is opened
+    this.editor = null;
+    
     // Game state
     this.score = 0;
     this.strokes = 0;
-    this.par = 3; // Default par for the hole
-    this.gameState = 'TITLE'; // TITLE, AIMING, HITTING, WATCHING, CAMERA_TRANSITION, READY_TO_HIT
+    this.penalties = 0; // Penalty strokes on the current hole (already counted in strokes)
+    this.par = 3; // Par for the current hole (set from the generated terrain)
+    this.gameState = 'TITLE'; // TITLE, AIMING, HITTING, WATCHING, CAMERA_TRANSITION, READY_TO_HIT, DROPPING, HOLE_COMPLETE, ROUND_COMPLETE, EDITING
     
     // Camera transition timing
     this.cameraTransitionTime = 0;
@@ -122,6 +163,7 @@ class Game {
         document.addEventListener('instructionsDismissed', () => {
           console.log("Instructions dismissed event received");
           this.isPaused = false;
+          this.ui.showHoleIntro(this.round.getCurrentHole().number, this.par, this.terrain.yardage);
           console.log("Game interaction resumed");
         }, { once: true });
       }, 800);
@@ -215,8 +257,22 @@ class Game {
     this.scene.add(directionalLight);
     
     // Add a hemisphere light for more natural lighting
-    const hemisphereLight = new THREE.HemisphereLight(0x87CEEB, 0x448844, 0.6);
-    this.scene.add(hemisphereLight);
+    this.hemisphereLight = new THREE.HemisphereLight(0x87CEEB, 0x448844, 0.6);
+    this.scene.add(this.hemisphereLight);
+  }
+  
+  /**
+   * Colour the sky, fog and bounce light to match the course theme
+   * @param {Object} theme - Theme from themes.js
+   */
+  applyTheme(theme) {
+    const { sky } = theme;
+    this.renderer.setClearColor(sky.color);
+    this.scene.fog = sky.fog ? new THREE.Fog(sky.fog.color, sky.fog.near, sky.fog.far) : null;
+    if (this.hemisphereLight) {
+      this.hemisphereLight.color.set(sky.color);
+      this.hemisphereLight.groundColor.set(sky.ground);
+    }
   }
   
   /**
@@ -225,29 +281,23 @@ class Game {
   initGameObjects() {
     console.log("Initializing game objects");
     
-    // Create terrain
-    this.terrain = new TerrainGenerator({
-      width: 400, 
-      length: 400,
-      maxHeight: 5,
-      minHeight: -1,
-      segmentsW: 100,
-      segmentsL: 100,
-      waterLevel: -0.8,
-      waterColor: 0x4466aa,
-      waterOpacity: 0.8
+    // Create the round (?seed= reproduces a shared course, ?holes=9 plays a short round,
+    // ?course= plays a saved course file, ?heightmap=&mask= plays one hole drawn as images,
+    // ?minimaps plays the holes from the bundled minimaps)
+    let holeCount = getHoleCountFromUrl();
+    if (this.minimaps) {
+      holeCount = this.minimaps.length;
+    } else if (this.images) {
+      holeCount = 1;
+    }
+    this.round = new Round({
+      seed: getSeedFromUrl(),
+      holeCount,
+      course: this.course
     });
     
-    // Generate terrain mesh
-    this.terrainMesh = this.terrain.generateTerrain();
-    this.terrainMesh.receiveShadow = true;
-    this.scene.add(this.terrainMesh);
-    
-    // Create water surface
-    this.terrain.createWaterSurface(this.scene);
-    
-    // Create golf hole flag
-    this.flag = this.terrain.createFlag(this.scene);
+    // Build the first hole (terrain, water and flag)
+    this.loadHole(this.round.getCurrentHole());
     console.log('[Game.init] Tee Position:', this.terrain.teePosition.toArray());
 
     // Create golf ball
@@ -267,6 +317,9 @@ class Game {
     this.shotArrow.visible = false;
     this.scene.add(this.shotArrow);
     
+    // Dotted arc and landing marker for the predicted flight
+    this.trajectoryPreview = new TrajectoryPreview(this.scene);
+    
     // Initialize camera controller with ball as target
     this.cameraController = new CameraController(this.camera, this.ball, { terrain: this.terrain });
     // Set a reference to the game instance in the camera controller
@@ -292,6 +345,166 @@ class Game {
     console.log("Game objects initialized successfully");
   }
   
+  /**
+   * Generate a hole and add its terrain, water and flag to the scene
+   * Tears down the previous hole first
+   * @param {Object} hole - Round hole entry ({ number, seed })
+   */
+  loadHole(hole) {
+    console.log(`[Game.loadHole] Building hole ${hole.number} with seed ${hole.seed}`);
+    
+    // Remove the previous hole from the scene
+    if (this.terrain) {
+      this.terrain.dispose(this.scene);
+    }
+    
+    // Create terrain
+    this.terrain = new TerrainGenerator({
+      seed: hole.seed,
+      width: 400, 
+      length: 400,
+      segmentsW: 100,
+      segmentsL: 100,
+      waterLevel: -0.8,
+      theme: this.theme,
+      difficulty: this.difficulty,
+      pinSeed: this.pinSeed
+    });
+    
+    // Generate terrain mesh, or build it from the course file, hole images or minimap
+    if (this.course) {
+      this.terrainMesh = this.terrain.loadCourse(this.course, hole.number);
+    } else if (this.minimaps) {
+      this.terrainMesh = this.terrain.generateFromSurfaceImage(this.minimaps[hole.number - 1]);
+    } else if (this.images) {
+      this.terrainMesh = this.terrain.generateFromImages(this.images.heightmap, this.images.mask);
+    } else {
+      this.terrainMesh = this.terrain.generateTerrain();
+    }
+    this.terrainMesh.receiveShadow = true;
+    this.scene.add(this.terrainMesh);
+    
+    // Sky and fog to suit the course
+    this.applyTheme(this.terrain.theme);
+    
+    // Create water surface
+    this.terrain.createWaterSurface(this.scene);
+    
+    // Create golf hole flag
+    this.flag = this.terrain.createFlag(this.scene);
+    
+    // Add trees, rocks and shrubs
+    this.terrain.createObstacles(this.scene);
+    
+    // Mark out of bounds with white stakes
+    this.terrain.createOutOfBoundsStakes(this.scene);
+    
+    // Park golf carts along the cart path
+    this.terrain.createCartPath(this.scene);
+    
+    // Bridge the water on the line of play
+    this.terrain.createBridges(this.scene);
+    
+    // Par and yardage come from the generated hole geometry
+    this.par = this.terrain.par;
+    this.round.setPar(this.par, this.terrain.yardage);
+    
+    // Point the ball and camera at the new terrain
+    if (this.ball) {
+      this.ball.terrain = this.terrain;
+    }
+    if (this.cameraController) {
+      this.cameraController.terrain = this.terrain;
+    }
+    
+    // Update UI
+    if (this.ui) {
+      this.ui.updateHole(hole.number, this.round.holeCount, this.par, this.terrain.yardage);
+      this.ui.updateSeed(this.round.seed);
+      this.ui.showHoleIntro(hole.number, this.par, this.terrain.yardage);
+    }
+    
+    this.renderDirty = true;
+  }
+  
+  /**
+   * Move on to the next hole of the round
+   */
+  nextHole() {
+    const hole = this.round.nextHole();
+    if (!hole) {
+      this.endRound();
+      return;
+    }
+    
+    this.loadHole(hole);
+    
+    // resetBall puts the ball on the new tee and clears the stroke count
+    this.resetBall();
+  }
+  
+  /**
+   * Finish the round and show the scorecard
+   */
+  endRound() {
+    console.log('[Game.endRound] Round complete:', this.round.getTotals());
+    this.setGameState('ROUND_COMPLETE');
+    
+    if (this.ui) {
+      this.ui.showRoundSummary(this.round, () => this.startNewRound());
+    }
+  }
+  
+  /**
+   * Start a fresh round on a new course
+   */
+  startNewRound() {
+    this.round = new Round({ holeCount: this.round.holeCount, course: this.course });
+    this.score = 0;
+    
+    this.loadHole(this.round.getCurrentHole());
+    this.resetBall();
+    
+    if (this.ui) {
+      this.ui.updateScore(this.score);
+    }
+  }
+  
+  /**
+   * Start a round on a course file (e.g. one saved from the hole editor)
+   * @param {Object} course - Course data
+   */
+  playCourse(course) {
+    this.course = course;
+    this.round = new Round({ course });
+    this.score = 0;
+    
+    this.loadHole(this.round.getCurrentHole());
+    this.resetBall();
+    
+    if (this.ui) {
+      this.ui.updateScore(this.score);
+    }
+  }
+  
+  /**
+   * Open or close the hole editor
+   * While a test hit is being played from the editor this returns to editing
+   */
+  toggleEditor() {
+    if (!this.editor) {
+      this.editor = new HoleEditor(this);
+    }
+    
+    if (this.editor.testing) {
+      this.editor.endTestHit();
+    } else if (this.editor.active) {
+      this.editor.disable();
+    } else if (['AIMING', 'READY_TO_HIT'].includes(this.gameState)) {
+      this.editor.enable();
+    }
+  }
+  
   /**
    * Add a flag at the hole position
    */
@@ -369,9 +582,19 @@ class Game {
    * Handle key press
    */
   handleKeyPress(key) {
-    if (this.isPaused) return;
+    if (this.isPaused || this.gameState === 'ROUND_COMPLETE') return;
     this.renderDirty = true;
     
+    // E opens and closes the hole editor; while editing, keys go to the editor
+    if (key.toLowerCase() === 'e') {
+      this.toggleEditor();
+      return;
+    }
+    if (this.gameState === 'EDITING') {
+      this.editor.handleKeyPress(key);
+      return;
+    }
+    
     switch (key.toLowerCase()) {
       case ' ': // Space bar
         if (this.gameState === 'AIMING') {
@@ -403,9 +626,38 @@ class Game {
           this.toggleSpinSelector();
         }
         break;
+      case 'x': // Save this hole as a course file
+        this.exportHole();
+        break;
+      case 'p': // Toggle the predicted flight (not offered at every difficulty)
+        if (!hasTrajectoryPreview(this.difficulty)) {
+          console.log(`No trajectory preview at ${this.difficulty} difficulty`);
+          break;
+        }
+        this.showTrajectoryPreview = !this.showTrajectoryPreview;
+        console.log(`Trajectory preview ${this.showTrajectoryPreview ? 'on' : 'off'}`);
+        break;
+      case '[': // Preview a softer shot
+        this.adjustPreviewPower(-this.PREVIEW_POWER_STEP);
+        break;
+      case ']': // Preview a harder shot
+        this.adjustPreviewPower(this.PREVIEW_POWER_STEP);
+        break;
     }
   }
   
+  /**
+   * Download the current hole as a course file
+   */
+  exportHole() {
+    if (!this.terrain) return;
+    
+    const number = this.round.getCurrentHole().number;
+    const course = this.terrain.exportCourse(`Hole ${number} (seed ${this.terrain.seed})`);
+    downloadCourse(course, `threewood-${this.terrain.seed}.json`);
+    console.log(`Exported hole ${number} as a course file`);
+  }
+  
   /**
    * Handle mouse down events
    */
@@ -416,6 +668,9 @@ class Game {
       return;
     }
     
+    // The hole editor handles its own mouse input
+    if (this.gameState === 'EDITING') return;
+    
     // Skip if user is interacting with the spin selector
     if (this.isSpinSelectorOpen) {
       console.log("Mouse input ignored while spin selector is open");
@@ -456,59 +711,43 @@ class Game {
     if (this.mixer) {
       this.mixer.update(this.deltaTime);
     }
+    
+    // The hole editor drives the camera while editing
+    if (this.gameState === 'EDITING') {
+      this.editor.update(this.deltaTime);
+      if (this.terrain && this.terrain.updateWater) {
+        this.terrain.updateWater(this.deltaTime);
+      }
+      return;
+    }
 
     // Update ball physics
     if (this.gameState === 'WATCHING') {
       // Ball is in motion after being hit
       this.ball.update(this.deltaTime);
       
-      // Check if ball has entered the hole
-      if (this.terrain && this.terrain.checkBallInHole && this.terrain.checkBallInHole(this.ball)) {
-        // Ball has entered the hole!
+      // The ball checks for the cup and the water on every physics step and stops there
+      if (this.ball.inHole) {
         this.handleHoleComplete();
+      } else if (this.ball.inWaterHazard) {
+        if (this.terrain && this.terrain.createSplashEffect) {
+          this.terrain.createSplashEffect(this.ball.waterEntryPosition, this.scene, this.ball.waterEntrySpeed);
+        }
+        // A ball in the water is played again from one of the drop options
+        this.handleWaterHazard();
       }
     }
     
-    // Update water animation and check for ball-water collisions
+    // Update water animation and effects
     if (this.terrain) {
       // Update water surface waves
       if (this.terrain.updateWater) {
         this.terrain.updateWater(this.deltaTime);
       }
       
-      // Check for ball-water collision and create splash if needed
-      if (this.gameState === 'WATCHING' && this.ball && this.terrain.checkBallWaterCollision) {
-        // Get ball velocity for splash intensity
-        const ballVelocity = this.ball.velocity ? this.ball.velocity.length() : 0;
-        
-        // Check collision and create splash if needed
-        const isInWater = this.terrain.checkBallWaterCollision(
-          this.ball, 
-          this.scene, 
-          ballVelocity
-        );
-        
-        // Apply water physics to ball if in water
-        if (isInWater) {
-          // Make sure ball has velocity object
-          if (!this.ball.velocity) {
-            this.ball.velocity = new THREE.Vector3(0, 0, 0);
-          }
-          
-          // Slow down the ball in water (water resistance)
-          this.ball.velocity.multiplyScalar(0.95);
-          
-          // Apply slight downward force (sinking)
-          this.ball.velocity.y -= 0.05;
-          
-          // Ensure the ball keeps moving if it's in water
-          if (this.ball.velocity.length() < 0.1) {
-            // Add a small random movement to prevent complete stopping in water
-            this.ball.velocity.x += (Math.random() - 0.5) * 0.02;
-            this.ball.velocity.z += (Math.random() - 0.5) * 0.02;
-            this.ball.velocity.y -= 0.1; // Ensure it sinks
-          }
-        }
+      // Let the wind gust
+      if (this.terrain.wind) {
+        this.terrain.wind.update(this.deltaTime);
       }
       
       // Update splash and ripple effects
@@ -590,14 +829,35 @@ class Game {
       this.shotArrow.setDirection(shotDir);
       this.shotArrow.setLength(1.2, 0.25, 0.15);
       this.shotArrow.visible = true;
+      
+      // Predicted flight for the chosen preview power, stopping short against any hill in the way
+      if (this.trajectoryPreview) {
+        if (this.showTrajectoryPreview) {
+          this.trajectoryPreview.update(this.deltaTime, {
+            terrain: this.terrain,
+            start: ballPos,
+            power: this.firstHit ? this.FIRST_HIT_POWER : this.previewPower,
+            direction: camToBall,
+            loft: this.firstHit ? this.FIRST_HIT_LOFT : this.currentLoft,
+            sidespin: this.getSelectedSidespin()
+          });
+        }
+        this.trajectoryPreview.setVisible(this.showTrajectoryPreview);
+      }
       this.renderDirty = true;
     } else if (this.shotArrow) {
       this.shotArrow.visible = false;
+      if (this.trajectoryPreview) {
+        this.trajectoryPreview.setVisible(false);
+      }
       this.renderDirty = true;
     }
     
     // Check if ball has stopped after being hit
-    if (this.gameState === 'WATCHING' && this.ball.isResting) {
+    if (this.gameState === 'WATCHING' && this.ball.isResting &&
+        (this.ball.outOfBounds || this.terrain.isOutOfBounds(this.ball.position.x, this.ball.position.z))) {
+      this.handleOutOfBounds();
+    } else if (this.gameState === 'WATCHING' && this.ball.isResting) {
       console.log("Ball has come to rest");
       this.cameraController.followBall();
       this.setGameState('CAMERA_TRANSITION');
@@ -628,6 +888,7 @@ class Game {
             console.log("Correcting ball position after camera transition");
             this.ball.position.y = terrainHeight + this.ball.options.radius + 0.01;
             // Update mesh position
+            this.ball.renderPosition.copy(this.ball.position);
             this.ball.getMesh().position.copy(this.ball.position);
           }
         }
@@ -739,8 +1000,8 @@ class Game {
     let loft = this.currentLoft;
     // On the first hit, override power and loft for a dramatic launch
     if (this.firstHit) {
-      power = 95;
-      loft = 30;
+      power = this.FIRST_HIT_POWER;
+      loft = this.FIRST_HIT_LOFT;
       this.firstHit = false;
     }
     
@@ -764,22 +1025,7 @@ class Game {
     // Store this direction on the ball for deflection logic on first impact
     this.ball.lastShotDirection = launchDirection.clone();
     
-    // Get spin values with safe default
-    let spinValues = this.spinValues || { x: 0, y: 0 };
-    if (!spinValues.x && !spinValues.y) {
-      // If no spin values stored, try getting from UI
-      try {
-        if (this.ui && this.ui.spinValues) {
-          spinValues = this.ui.spinValues;
-        }
-      } catch (e) {
-        console.warn("Error getting spin values:", e);
-      }
-    }
-    
-    // Calculate sidespin based on horizontal (x) position
-    // Negative x = left spin (hook), Positive x = right spin (slice)
-    let sidespin = (spinValues.x || 0); // Use raw value from spin selector
+    const sidespin = this.getSelectedSidespin();
     
     // Hit the ball using the horizontal direction, loft angle, and sidespin
     this.ball.hit(power, direction, loft, sidespin);
@@ -811,6 +1057,94 @@ class Game {
     this.ui.updateStrokes(this.strokes);
   }
   
+  /**
+   * Stroke and distance: add a penalty stroke and replay from where the last shot was played
+   */
+  handleOutOfBounds() {
+    // Test hits from the hole editor don't count towards the round
+    if (this.editor && this.editor.testing) {
+      this.editor.endTestHit('Test hit went out of bounds');
+      return;
+    }
+    
+    console.log(`Ball out of bounds at (${this.ball.position.x.toFixed(1)}, ${this.ball.position.z.toFixed(1)}) - replaying with a penalty stroke`);
+    
+    this.strokes++;
+    this.penalties++;
+    this.ball.reset(this.ball.shotStartPosition);
+    
+    if (this.ui) {
+      this.ui.updateStrokes(this.strokes);
+      this.ui.showPenaltyBanner('OUT OF BOUNDS', `1 stroke penalty - hitting ${this.strokes + 1} from the same spot`);
+    }
+    
+    // Settle the camera behind the replayed ball, then aim again
+    this.cameraController.followBall();
+    this.setGameState('CAMERA_TRANSITION');
+    this.cameraTransitionTime = 0;
+  }
+  
+  /**
+   * Water hazard: add a penalty stroke and let the player pick where to drop
+   */
+  handleWaterHazard() {
+    this.ball.handleWaterHazard();
+    
+    // Test hits from the hole editor don't count towards the round
+    if (this.editor && this.editor.testing) {
+      this.editor.endTestHit('Test hit found the water');
+      return;
+    }
+    
+    const entry = this.ball.waterEntryPosition.clone();
+    console.log(`Ball in the water at (${entry.x.toFixed(1)}, ${entry.z.toFixed(1)}) - penalty stroke`);
+    
+    this.strokes++;
+    this.penalties++;
+    this.setGameState('DROPPING');
+    
+    const lineBack = this.terrain.findLineBackDrop(entry);
+    const dropZone = this.terrain.findDropZone(entry);
+    const options = [
+      {
+        label: 'Replay',
+        description: 'From where you last played',
+        position: this.ball.shotStartPosition.clone()
+      },
+      {
+        label: 'Line back',
+        description: 'Behind the water, on the line from the pin',
+        position: lineBack
+      },
+      {
+        label: 'Drop zone',
+        description: 'Dry ground beside the water, no nearer the pin',
+        position: dropZone
+      }
+    ];
+    
+    if (this.ui) {
+      this.ui.updateStrokes(this.strokes);
+      this.ui.showDropPicker(options, option => this.dropBall(option.position));
+    } else {
+      this.dropBall(options[0].position);
+    }
+  }
+  
+  /**
+   * Place the ball after a penalty drop and get ready for the next shot
+   * @param {THREE.Vector3} position - Where to drop
+   */
+  dropBall(position) {
+    console.log('[Game.dropBall] Dropping at', position.toArray());
+    this.ball.reset(position);
+    
+    // Settle the camera behind the dropped ball, then aim again
+    this.cameraController.followBall();
+    this.setGameState('CAMERA_TRANSITION');
+    this.cameraTransitionTime = 0;
+  }
+  
   /**
    * Show the spin selector UI
    */
@@ -842,25 +1176,27 @@ class Game {
     this.ball.reset(); // Ball.reset() uses terrain.teePosition if no arg is given
     console.log('[Game.resetBall] Ball position after reset:', this.ball.position.toArray());
     this.strokes = 0;
+    this.penalties = 0;
+    if (this.ui) this.ui.hideDropPicker();
     
     // Update UI
     this.ui.updateStrokes(this.strokes);
     
-    // Point the camera toward the hole before setting game state
+    // Point the camera down the first leg of the hole before setting game state
     if (this.cameraController && this.terrain && this.terrain.holePosition) {
-      // Calculate direction from ball to hole
+      // On a dog-leg this is the corner rather than the hole
       const ballPos = this.ball.position;
-      const holePos = this.terrain.holePosition;
+      const target = this.terrain.getTeeShotTarget();
       
-      // Calculate angle to hole in the XZ plane
-      const angleToHole = Math.atan2(
-        holePos.x - ballPos.x,
-        holePos.z - ballPos.z
+      // Calculate angle to the target in the XZ plane (aimingAngle 0 is +X)
+      const angleToTarget = Math.atan2(
+        target.y - ballPos.z,
+        target.x - ballPos.x
       );
       
-      // Reset the camera controller's aiming angle to point at the hole
-      this.cameraController.aimingAngle = angleToHole;
-      console.log('[Game.resetBall] Camera aimed toward hole at angle:', angleToHole);
+      // Reset the camera controller's aiming angle to point at the target
+      this.cameraController.aimingAngle = angleToTarget;
+      console.log('[Game.resetBall] Camera aimed down the hole at angle:', angleToTarget);
     }
     
     // Ensure the game state is set to allow hitting
@@ -894,20 +1230,7 @@ class Game {
     // Ball is in hole if it's close enough horizontally and not too far above/below the hole
     if (distanceToHole < 0.2 && heightDifference < 0.1 && this.ball.isResting) {
       // Ball is in the hole!
-      console.log(`Hole completed in ${this.strokes} strokes!`);
-      
-      // Update score
-      const relativeScore = this.strokes - this.par;
-      this.score += relativeScore;
-      
-      // Update UI
-      this.ui.updateScore(this.score);
-      this.ui.showHoleCompleteMessage(this.strokes, this.par);
-      
-      // Reset for next hole
-      setTimeout(() => {
-        this.resetBall();
-      }, 3000);
+      this.handleHoleComplete();
     }
   }
   
@@ -1069,6 +1392,41 @@ class Game {
     // No need to update indicator geometry here, 'update' loop handles rotation
   }
 
+  /**
+   * Change the power the predicted flight is shown for
+   * @param {number} change - Percentage points to add (negative for a softer shot)
+   */
+  adjustPreviewPower(change) {
+    if (this.gameState !== 'AIMING') return;
+    this.renderDirty = true;
+
+    this.previewPower = Math.max(this.PREVIEW_POWER_STEP, Math.min(100, this.previewPower + change));
+    console.log(`Preview power changed to: ${this.previewPower}%`);
+  }
+
+  /**
+   * Sidespin picked in the spin selector
+   * @returns {number} -1 to 1, negative = hook (left), positive = slice (right)
+   */
+  getSelectedSidespin() {
+    // Get spin values with safe default
+    let spinValues = this.spinValues || { x: 0, y: 0 };
+    if (!spinValues.x && !spinValues.y) {
+      // If no spin values stored, try getting from UI
+      try {
+        if (this.ui && this.ui.spinValues) {
+          spinValues = this.ui.spinValues;
+        }
+      } catch (e) {
+        console.warn("Error getting spin values:", e);
+      }
+    }
+    
+    // Calculate sidespin based on horizontal (x) position
+    // Negative x = left spin (hook), Positive x = right spin (slice)
+    return spinValues.x || 0; // Use raw value from spin selector
+  }
+
   /**
    * Reset power meter state
    * Called when closing spin selector or other cases where we need
@@ -1133,6 +1491,13 @@ class Game {
         this.terrain.holePosition,
         this.camera.position
       );
+      
+      // Show the hole's wind as it gusts, relative to the camera too
+      this.directionArrow.updateWind(
+        this.terrain.wind ? this.terrain.wind.getReading() : null,
+        this.ball.position,
+        this.camera.position
+      );
     }
   }
 }
@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+
+// Default number of each hazard placed on a hole
+export const DEFAULT_HAZARD_COUNTS = {
+  greensideBunkers: 2,
+  fairwayBunkers: 2,
+  ponds: 1
+};
+
+// Attempts made to find a clear spot for a hazard before giving up on it
+const PLACEMENT_ATTEMPTS = 12;
+
+// Number of harmonics used to wobble the hazard outline
+const OUTLINE_HARMONICS = 3;
+
+/**
+ * Get the outline radius of a hazard in a given direction
+ * @param {Object} hazard - Hazard from the planner
+ * @param {number} angle - Direction from the hazard centre in radians
+ * @returns {number} Radius in metres
+ */
+export function getHazardRadiusAt(hazard, angle) {
+  let scale = 1;
+  hazard.outline.forEach(({ amplitude, phase }, i) => {
+    scale += amplitude * Math.sin((i + 2) * angle + phase);
+  });
+  return hazard.radius * scale;
+}
+
+/**
+ * Check whether a point lies inside a hazard outline
+ * @param {Object} hazard - Hazard from the planner
+ * @param {number} x - X coordinate in world space
+ * @param {number} z - Z coordinate in world space
+ * @returns {boolean}
+ */
+export function isInsideHazard(hazard, x, z) {
+  const dx = x - hazard.x;
+  const dz = z - hazard.z;
+  const distanceSq = dx * dx + dz * dz;
+
+  // Quick rejection against the largest possible outline
+  if (distanceSq > hazard.boundingRadius * hazard.boundingRadius) return false;
+
+  return Math.sqrt(distanceSq) < getHazardRadiusAt(hazard, Math.atan2(dz, dx));
+}
+
+/**
+ * Hazard planner for ThreeWood
+ * Places greenside bunkers, fairway bunkers and ponds around a generated hole
+ */
+class HazardPlanner {
+  /**
+   * @param {TerrainGenerator} terrain - Terrain with its tee, hole and fairway already laid out
+   * @param {Object} [counts] - Number of each hazard ({ greensideBunkers, fairwayBunkers, ponds })
+   */
+  constructor(terrain, counts = {}) {
+    this.terrain = terrain;
+    this.random = terrain.random;
+    this.counts = { ...DEFAULT_HAZARD_COUNTS, ...counts };
+    this.hazards = [];
+  }
+
+  /**
+   * Plan every hazard for the hole
+   * @returns {Array<Object>} Hazards ({ id, type, placement, x, z, radius, boundingRadius, outline, height })
+   */
+  plan() {
+    this.hazards = [];
+
+    // Ponds first - they are the largest and hardest to fit
+    for (let i = 0; i < this.counts.ponds; i++) {
+      this.placeHazard(() => this.proposePond());
+    }
+    for (let i = 0; i < this.counts.greensideBunkers; i++) {
+      this.placeHazard(() => this.proposeGreensideBunker());
+    }
+    for (let i = 0; i < this.counts.fairwayBunkers; i++) {
+      this.placeHazard(() => this.proposeFairwayBunker());
+    }
+
+    return this.hazards;
+  }
+
+  /**
+   * Try candidate spots until one is clear of the tee, green and other hazards
+   * @param {Function} propose - Returns a candidate hazard
+   * @returns {Object|null} The placed hazard, or null if no spot was found
+   */
+  placeHazard(propose) {
+    for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+      const hazard = propose();
+      if (hazard && this.isClear(hazard)) {
+        hazard.id = `${hazard.type}-${this.hazards.length + 1}`;
+        this.hazards.push(hazard);
+        return hazard;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create a hazard with an irregular, seeded outline
+   */
+  createHazard(type, placement, x, z, radius) {
+    const outline = [];
+    let wobble = 0;
+    for (let i = 0; i < OUTLINE_HARMONICS; i++) {
+      const amplitude = THREE.MathUtils.lerp(0.04, 0.18, this.random()) / (i + 1);
+      outline.push({ amplitude, phase: this.random() * Math.PI * 2 });
+      wobble += amplitude;
+    }
+
+    return {
+      id: null,
+      type, // 'water' or 'bunker'
+      placement, // 'greenside', 'fairway' or 'pond'
+      x,
+      z,
+      radius,
+      boundingRadius: radius * (1 + wobble),
+      outline,
+      height: type === 'water'
+        ? this.terrain.options.waterLevel - 0.6 // Below the water surface so the pond fills
+        : this.terrain.terrainTypes[1].height + 0.1 // Slightly above bunker base
+    };
+  }
+
+  /**
+   * Bunker tucked against the edge of the green, away from the approach
+   */
+  proposeGreensideBunker() {
+    const { holePosition, greenSize } = this.terrain;
+    const radius = THREE.MathUtils.lerp(4, 7, this.random());
+
+    // Keep the front of the green open so there is a way in along the ground
+    const approach = this.terrain.getFairwayPointAt(Infinity);
+    const approachAngle = Math.atan2(-approach.dirZ, -approach.dirX);
+    const angle = approachAngle + THREE.MathUtils.lerp(0.5, Math.PI * 2 - 0.5, this.random());
+
+    // Distance from the centre to the edge of the green's ellipse in that direction
+    const greenEdge = 1 / Math.sqrt((Math.cos(angle) / (greenSize * 1.5)) ** 2 + (Math.sin(angle) / greenSize) ** 2);
+    const distance = greenEdge + radius * 0.8 + 1;
+
+    return this.createHazard(
+      'bunker',
+      'greenside',
+      holePosition.x + Math.cos(angle) * distance,
+      holePosition.z + Math.sin(angle) * distance,
+      radius
+    );
+  }
+
+  /**
+   * Bunker on the edge of the fairway around the landing zone
+   */
+  proposeFairwayBunker() {
+    const radius = THREE.MathUtils.lerp(5, 9, this.random());
+    const along = this.terrain.fairwayPath.length * THREE.MathUtils.lerp(0.35, 0.8, this.random());
+    const point = this.terrain.getFairwayPointAt(along);
+    const side = this.random() < 0.5 ? -1 : 1;
+
+    // Sit just off the edge so it pinches the fairway
+    const offset = point.width + radius * 0.6;
+
+    return this.createHazard(
+      'bunker',
+      'fairway',
+      point.x - point.dirZ * side * offset,
+      point.z + point.dirX * side * offset,
+      radius
+    );
+  }
+
+  /**
+   * Pond either across the line of play (a forced carry) or beside the fairway
+   */
+  proposePond() {
+    const radius = THREE.MathUtils.lerp(9, 16, this.random());
+    const fairwayLength = this.terrain.fairwayPath.length;
+
+    if (this.random() < 0.4) {
+      // Crossing pond - well clear of the tee and short of the green
+      const along = fairwayLength * THREE.MathUtils.lerp(0.3, 0.6, this.random());
+      const point = this.terrain.getFairwayPointAt(along);
+      return this.createHazard('water', 'pond', point.x, point.z, radius);
+    }
+
+    const along = fairwayLength * THREE.MathUtils.lerp(0.25, 0.85, this.random());
+    const point = this.terrain.getFairwayPointAt(along);
+    const side = this.random() < 0.5 ? -1 : 1;
+    const offset = point.width + radius + 3;
+
+    return this.createHazard(
+      'water',
+      'pond',
+      point.x - point.dirZ * side * offset,
+      point.z + point.dirX * side * offset,
+      radius
+    );
+  }
+
+  /**
+   * Check a candidate against the map edges, tee, green and hazards already placed
+   */
+  isClear(hazard) {
+    const { width, length } = this.terrain.options;
+    const { tees, holePosition, greenSize } = this.terrain;
+    const reach = hazard.boundingRadius;
+
+    // Inside the map with room for the banks
+    if (Math.abs(hazard.x) + reach > width / 2 - 10 || Math.abs(hazard.z) + reach > length / 2 - 10) {
+      return false;
+    }
+
+    // Leave the tee boxes and the area in front of them playable
+    if (tees.some(tee => Math.hypot(hazard.x - tee.x, hazard.z - tee.z) < reach + 15)) {
+      return false;
+    }
+
+    // Greenside bunkers may touch the green, nothing may cover it
+    const greenClearance = hazard.placement === 'greenside' ? greenSize * 0.7 : greenSize * 1.5 + 5;
+    if (Math.hypot(hazard.x - holePosition.x, hazard.z - holePosition.z) < reach + greenClearance) {
+      return false;
+    }
+
+    // No overlapping hazards
+    return this.hazards.every(other =>
+      Math.hypot(hazard.x - other.x, hazard.z - other.z) > reach + other.boundingRadius + 2
+    );
+  }
+}
+
+export default HazardPlanner;
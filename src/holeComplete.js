@@ -5,7 +5,13 @@ import * as THREE from 'three';
  */
 function handleHoleComplete() {
   // Only handle once
-  if (this.gameState === 'HOLE_COMPLETE') return;
+  if (this.gameState === 'HOLE_COMPLETE' || this.gameState === 'ROUND_COMPLETE') return;
+  
+  // Test hits from the hole editor don't count towards the round
+  if (this.editor && this.editor.testing) {
+    this.editor.endTestHit('Test hit holed!');
+    return;
+  }
   
   console.log(`🏆 Hole completed in ${this.strokes} strokes!`);
   
@@ -16,6 +22,11 @@ function handleHoleComplete() {
   const relativeScore = this.strokes - this.par;
   this.score += relativeScore;
   
+  // Record the hole on the scorecard
+  if (this.round) {
+    this.round.recordStrokes(this.strokes, this.penalties);
+  }
+  
   // Update UI
   if (this.ui) {
     this.ui.updateScore(this.score);
@@ -45,7 +56,7 @@ function handleHoleComplete() {
     }
   }
   
-  // Automatically reset after a delay
+  // Automatically move on after a delay
   setTimeout(() => {
     // Clear flag animation if it exists
     if (this.flagAnimation) {
@@ -53,26 +64,17 @@ function handleHoleComplete() {
       this.flagAnimation = null;
     }
     
-    // Reset for next hole
-    if (this.resetBall) {
-      // resetBall now handles game state transition internally
+    // Move on to the next hole, or finish the round after the last one
+    if (this.round && this.round.hasNextHole()) {
+      // nextHole rebuilds the course and resets the ball, which handles the game state transition
+      this.nextHole();
+      console.log('[handleHoleComplete] Next hole loaded, game state should be AIMING');
+    } else if (this.round) {
+      this.endRound();
+      return;
+    } else if (this.resetBall) {
+      // No round in progress - replay the same hole
       this.resetBall();
-      console.log('[handleHoleComplete] Ball reset complete, game state should be AIMING');
-    } else if (this.reset) {
-      this.reset(); // Alternative reset method
-      // Ensure game state is set properly if reset doesn't handle it
-      if (this.setGameState) {
-        this.setGameState('READY_TO_HIT');
-      }
-    } else {
-      console.warn('No reset method found on game object');
-      // Fallback - try to reset ball position directly
-      if (this.ball && this.terrain && this.terrain.teePosition) {
-        this.ball.reset(this.terrain.teePosition);
-        if (this.setGameState) {
-          this.setGameState('READY_TO_HIT');
-        }
-      }
     }
     
     // Force camera to follow mode
@@ -0,0 +1,582 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { downloadCourse, validateCourse } from './courseFormat.js';
+
+// Editor tools, grouped as they appear in the toolbar
+const TOOLS = [
+  { id: 'raise', label: 'Raise', group: 'Sculpt' },
+  { id: 'lower', label: 'Lower', group: 'Sculpt' },
+  { id: 'flatten', label: 'Flatten', group: 'Sculpt' },
+  { id: 'smooth', label: 'Smooth', group: 'Sculpt' },
+  { id: 'fairway', label: 'Fairway', group: 'Paint' },
+  { id: 'rough', label: 'Rough', group: 'Paint' },
+  { id: 'green', label: 'Green', group: 'Paint' },
+  { id: 'bunker', label: 'Bunker', group: 'Paint' },
+  { id: 'water', label: 'Water', group: 'Paint' },
+  { id: 'cart_path', label: 'Cart path', group: 'Paint' },
+  { id: 'tee', label: 'Move tee', group: 'Place' },
+  { id: 'pin', label: 'Move pin', group: 'Place' },
+  { id: 'ball', label: 'Test hit', group: 'Place' }
+];
+
+const SCULPT_TOOLS = ['raise', 'lower', 'flatten', 'smooth'];
+const PAINT_TOOLS = ['fairway', 'rough', 'green', 'bunker', 'water', 'cart_path'];
+
+// Metres per second a full-strength raise or lower brush moves the ground
+const SCULPT_RATE = 2;
+
+// Brush radius limits in metres
+const MIN_BRUSH_RADIUS = 2;
+const MAX_BRUSH_RADIUS = 40;
+
+/**
+ * In-browser hole editor for ThreeWood
+ * Sculpts and paints the current hole, moves the tee and pin,
+ * test-hits from anywhere and saves or loads course files
+ */
+class HoleEditor {
+  /**
+   * @param {Game} game - The running game
+   */
+  constructor(game) {
+    this.game = game;
+    this.active = false;
+    this.testing = false; // A test hit is being played
+
+    // Brush state
+    this.tool = 'raise';
+    this.brushRadius = 8;
+    this.brushStrength = 0.5;
+    this.isDragging = false;
+    this.flattenHeight = 0;
+    this.hoverPoint = null;
+
+    // Picking
+    this.pointer = new THREE.Vector2();
+    this.raycaster = new THREE.Raycaster();
+
+    // Created on first use
+    this.controls = null;
+    this.cursor = null;
+    this.panel = null;
+    this.statusElement = null;
+    this.statsElement = null;
+
+    this.savedStrokes = 0;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleContextMenu = (e) => e.preventDefault();
+  }
+
+  /**
+   * Switch the game into editing mode
+   */
+  enable() {
+    const { game } = this;
+    if (this.active) return;
+    this.active = true;
+
+    // Paint on a copy of the current surfaces
+    game.terrain.ensureSurfaceMap();
+
+    // Free camera: right drag orbits, middle drag pans, wheel zooms, left button is the brush
+    if (!this.controls) {
+      this.controls = new OrbitControls(game.camera, game.renderer.domElement);
+      this.controls.mouseButtons = {
+        LEFT: null,
+        MIDDLE: THREE.MOUSE.PAN,
+        RIGHT: THREE.MOUSE.ROTATE
+      };
+      this.controls.enableDamping = true;
+      this.controls.maxPolarAngle = Math.PI / 2 - 0.05;
+    }
+    this.controls.enabled = true;
+    this.controls.target.copy(game.ball.position);
+    game.camera.position.copy(game.ball.position).add(new THREE.Vector3(-40, 45, 0));
+    this.controls.update();
+
+    this.createCursor();
+    this.createPanel();
+
+    const canvas = game.renderer.domElement;
+    canvas.addEventListener('pointerdown', this.handlePointerDown);
+    canvas.addEventListener('pointermove', this.handlePointerMove);
+    window.addEventListener('pointerup', this.handlePointerUp);
+    canvas.addEventListener('contextmenu', this.handleContextMenu);
+
+    game.setGameState('EDITING');
+    this.updateStats();
+    this.setStatus('Editing hole');
+  }
+
+  /**
+   * Leave editing mode and play the edited hole from the tee
+   */
+  disable() {
+    const { game } = this;
+    if (!this.active) return;
+    this.active = false;
+    this.testing = false;
+    this.isDragging = false;
+
+    const canvas = game.renderer.domElement;
+    canvas.removeEventListener('pointerdown', this.handlePointerDown);
+    canvas.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerup', this.handlePointerUp);
+    canvas.removeEventListener('contextmenu', this.handleContextMenu);
+
+    this.controls.enabled = false;
+    this.removeCursor();
+    this.removePanel();
+
+    // The scorecard and HUD follow the edited hole
+    game.par = game.terrain.par;
+    game.round.setPar(game.terrain.par, game.terrain.yardage);
+    if (game.ui) {
+      const hole = game.round.getCurrentHole();
+      game.ui.updateHole(hole.number, game.round.holeCount, game.terrain.par, game.terrain.yardage);
+    }
+
+    game.resetBall();
+  }
+
+  /**
+   * Per-frame update while editing
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    if (!this.active || this.testing) return;
+
+    this.controls.update();
+
+    // Sculpt tools keep working while the button is held
+    if (this.isDragging && this.hoverPoint && SCULPT_TOOLS.includes(this.tool)) {
+      const amount = this.tool === 'raise' || this.tool === 'lower'
+        ? this.brushStrength * SCULPT_RATE * deltaTime
+        : Math.min(1, this.brushStrength * 8 * deltaTime);
+      this.game.terrain.sculpt(
+        this.hoverPoint.x,
+        this.hoverPoint.z,
+        this.brushRadius,
+        this.tool,
+        amount,
+        this.flattenHeight
+      );
+      this.updateCursor();
+    }
+
+    this.game.renderDirty = true;
+  }
+
+  /**
+   * Keyboard shortcuts while editing
+   * @param {string} key - Key pressed
+   */
+  handleKeyPress(key) {
+    switch (key) {
+      case '[':
+        this.setBrushRadius(this.brushRadius - 1);
+        break;
+      case ']':
+        this.setBrushRadius(this.brushRadius + 1);
+        break;
+    }
+  }
+
+  /**
+   * Find the terrain point under the mouse
+   * @returns {THREE.Vector3|null}
+   */
+  pick() {
+    const { terrain, camera } = this.game;
+    if (!terrain || !terrain.terrainMesh) return null;
+
+    this.raycaster.setFromCamera(this.pointer, camera);
+    const hits = this.raycaster.intersectObject(terrain.terrainMesh, false);
+    return hits.length > 0 ? hits[0].point : null;
+  }
+
+  /**
+   * Track the mouse in normalized device coordinates
+   */
+  updatePointer(e) {
+    const rect = this.game.renderer.domElement.getBoundingClientRect();
+    this.pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+  }
+
+  handlePointerDown(e) {
+    if (this.testing || e.button !== 0) return;
+
+    this.updatePointer(e);
+    const point = this.pick();
+    if (!point) return;
+
+    this.hoverPoint = point;
+    this.isDragging = true;
+
+    if (this.tool === 'flatten') {
+      this.flattenHeight = point.y;
+    } else if (this.tool === 'ball') {
+      this.isDragging = false;
+      this.startTestHit(point);
+      return;
+    }
+
+    this.applyDragTool(point);
+  }
+
+  handlePointerMove(e) {
+    if (this.testing) return;
+
+    this.updatePointer(e);
+    this.hoverPoint = this.pick();
+    this.updateCursor();
+
+    if (this.isDragging && this.hoverPoint) {
+      this.applyDragTool(this.hoverPoint);
+    }
+  }
+
+  handlePointerUp() {
+    if (!this.isDragging) return;
+    this.isDragging = false;
+    this.finishStroke();
+  }
+
+  /**
+   * Apply the tools that follow the mouse (painting, tee and pin)
+   */
+  applyDragTool(point) {
+    const { terrain } = this.game;
+
+    if (PAINT_TOOLS.includes(this.tool)) {
+      terrain.paintSurface(point.x, point.z, this.brushRadius, this.tool);
+    } else if (this.tool === 'tee') {
+      terrain.moveTee(point.x, point.z);
+      this.game.ball.reset(terrain.teePosition);
+    } else if (this.tool === 'pin') {
+      terrain.movePin(point.x, point.z);
+    }
+
+    this.game.renderDirty = true;
+  }
+
+  /**
+   * Settle the tee, pin, ball, obstacles and carts on the edited ground and recount par
+   */
+  finishStroke() {
+    const { terrain, ball } = this.game;
+
+    terrain.moveTee(terrain.teePosition.x, terrain.teePosition.z);
+    terrain.movePin(terrain.holePosition.x, terrain.holePosition.z);
+    ball.reset(ball.position);
+
+    // Restake out of bounds around the moved line of play and the new ground
+    if (terrain.outOfBounds) {
+      terrain.outOfBounds.dispose(this.game.scene);
+      terrain.outOfBounds.generate().createMeshes(this.game.scene);
+    }
+
+    // Rebuild the bridges over wherever the water now crosses the line of play
+    if (terrain.bridges) {
+      terrain.bridges.dispose(this.game.scene);
+      terrain.bridges.generate().createMeshes(this.game.scene);
+    }
+
+    // Sit the trees, rocks, shrubs and parked carts back on the new ground
+    if (terrain.obstacles) {
+      terrain.obstacles.dispose(this.game.scene);
+      terrain.obstacles.settle().createMeshes(this.game.scene);
+    }
+    if (terrain.cartPath) {
+      terrain.cartPath.dispose(this.game.scene);
+      terrain.cartPath.createMeshes(this.game.scene);
+    }
+
+    terrain.calculatePar();
+    this.updateStats();
+  }
+
+  /**
+   * Play a shot from a point on the hole without leaving the editor
+   * @param {THREE.Vector3} point - Where to drop the ball
+   */
+  startTestHit(point) {
+    const { game } = this;
+    this.testing = true;
+    this.savedStrokes = game.strokes;
+
+    this.controls.enabled = false;
+    if (this.cursor) this.cursor.visible = false;
+
+    game.ball.reset(point);
+    game.setGameState('READY_TO_HIT');
+    this.setStatus('Test hit - press E to go back to editing');
+  }
+
+  /**
+   * Stop a test hit and return to editing
+   * @param {string} [message] - Outcome to show in the toolbar
+   */
+  endTestHit(message) {
+    const { game } = this;
+    if (!this.testing) return;
+    this.testing = false;
+
+    // Test shots never count
+    game.strokes = this.savedStrokes;
+    if (game.ui) game.ui.updateStrokes(game.strokes);
+    game.powerMeter.active = false;
+    if (game.ui) game.ui.hidePowerMeter();
+
+    game.ball.reset(game.ball.position);
+    this.controls.enabled = true;
+    this.controls.target.copy(game.ball.position);
+    game.setGameState('EDITING');
+    this.setStatus(message || 'Editing hole');
+  }
+
+  /**
+   * Save the edited hole as a course file
+   */
+  save() {
+    const { terrain, round } = this.game;
+    const number = round.getCurrentHole().number;
+    const course = terrain.exportCourse(`Edited hole ${number}`);
+    downloadCourse(course, `threewood-hole-${number}.json`);
+    this.setStatus('Saved course file');
+  }
+
+  /**
+   * Load a course file picked by the user and keep editing its first hole
+   */
+  load() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          const course = JSON.parse(reader.result);
+          validateCourse(course);
+          this.game.playCourse(course);
+
+          // Carry on editing the freshly loaded hole
+          this.game.terrain.ensureSurfaceMap();
+          this.game.setGameState('EDITING');
+          this.controls.target.copy(this.game.ball.position);
+          this.updateStats();
+          this.setStatus(`Loaded "${course.name}"`);
+        } catch (error) {
+          console.error('Could not load course file:', error);
+          this.setStatus(`Could not load: ${error.message}`);
+        }
+      };
+      reader.readAsText(file);
+    });
+    input.click();
+  }
+
+  setTool(tool) {
+    this.tool = tool;
+    if (this.panel) {
+      this.panel.querySelectorAll('[data-tool]').forEach((button) => {
+        const selected = button.dataset.tool === tool;
+        button.style.backgroundColor = selected ? '#FFD700' : 'rgba(255, 255, 255, 0.1)';
+        button.style.color = selected ? '#000' : '#fff';
+      });
+    }
+    this.updateCursor();
+  }
+
+  setBrushRadius(radius) {
+    this.brushRadius = THREE.MathUtils.clamp(radius, MIN_BRUSH_RADIUS, MAX_BRUSH_RADIUS);
+    const slider = this.panel && this.panel.querySelector('#editor-radius');
+    if (slider) slider.value = this.brushRadius;
+    this.updateCursor();
+  }
+
+  /**
+   * Ring showing the brush on the ground
+   */
+  createCursor() {
+    if (this.cursor) {
+      this.cursor.visible = true;
+      return;
+    }
+
+    const geometry = new THREE.RingGeometry(0.95, 1, 48);
+    geometry.rotateX(-Math.PI / 2);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xFFD700,
+      transparent: true,
+      opacity: 0.8,
+      depthTest: false
+    });
+    this.cursor = new THREE.Mesh(geometry, material);
+    this.cursor.renderOrder = 10;
+    this.game.scene.add(this.cursor);
+  }
+
+  updateCursor() {
+    if (!this.cursor) return;
+
+    this.cursor.visible = !!this.hoverPoint && !this.testing;
+    if (!this.hoverPoint) return;
+
+    // Placement tools get a small marker instead of a brush
+    const radius = SCULPT_TOOLS.includes(this.tool) || PAINT_TOOLS.includes(this.tool) ? this.brushRadius : 1;
+    this.cursor.scale.set(radius, 1, radius);
+    this.cursor.position.set(this.hoverPoint.x, this.hoverPoint.y + 0.1, this.hoverPoint.z);
+    this.game.renderDirty = true;
+  }
+
+  removeCursor() {
+    if (!this.cursor) return;
+    this.game.scene.remove(this.cursor);
+    this.cursor.geometry.dispose();
+    this.cursor.material.dispose();
+    this.cursor = null;
+  }
+
+  /**
+   * Toolbar down the left of the screen
+   */
+  createPanel() {
+    this.removePanel();
+
+    const panel = document.createElement('div');
+    panel.id = 'hole-editor-panel';
+    panel.style.position = 'absolute';
+    panel.style.top = '20px';
+    panel.style.left = '20px';
+    panel.style.width = '190px';
+    panel.style.padding = '12px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+    panel.style.color = '#fff';
+    panel.style.fontFamily = 'Lato, sans-serif';
+    panel.style.fontSize = '13px';
+    panel.style.borderRadius = '8px';
+    panel.style.zIndex = '150';
+
+    const title = document.createElement('div');
+    title.textContent = 'HOLE EDITOR';
+    title.style.fontWeight = 'bold';
+    title.style.color = '#FFD700';
+    title.style.marginBottom = '8px';
+    panel.appendChild(title);
+
+    const makeButton = (label, onClick) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.style.margin = '2px';
+      button.style.padding = '4px 8px';
+      button.style.border = '1px solid rgba(255, 255, 255, 0.3)';
+      button.style.borderRadius = '4px';
+      button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+      button.style.color = '#fff';
+      button.style.cursor = 'pointer';
+      button.style.fontSize = '12px';
+      button.addEventListener('click', onClick);
+      return button;
+    };
+
+    // Tool buttons by group
+    let group = null;
+    TOOLS.forEach((tool) => {
+      if (tool.group !== group) {
+        group = tool.group;
+        const heading = document.createElement('div');
+        heading.textContent = group;
+        heading.style.marginTop = '8px';
+        heading.style.opacity = '0.7';
+        panel.appendChild(heading);
+      }
+      const button = makeButton(tool.label, () => this.setTool(tool.id));
+      button.dataset.tool = tool.id;
+      panel.appendChild(button);
+    });
+
+    // Brush sliders
+    const makeSlider = (id, label, min, max, step, value, onInput) => {
+      const wrapper = document.createElement('label');
+      wrapper.style.display = 'block';
+      wrapper.style.marginTop = '8px';
+      wrapper.textContent = label;
+      const slider = document.createElement('input');
+      slider.id = id;
+      slider.type = 'range';
+      slider.min = min;
+      slider.max = max;
+      slider.step = step;
+      slider.value = value;
+      slider.style.width = '100%';
+      slider.addEventListener('input', () => onInput(Number(slider.value)));
+      wrapper.appendChild(slider);
+      panel.appendChild(wrapper);
+    };
+    makeSlider('editor-radius', 'Brush size', MIN_BRUSH_RADIUS, MAX_BRUSH_RADIUS, 1, this.brushRadius,
+      value => this.setBrushRadius(value));
+    makeSlider('editor-strength', 'Strength', 0.05, 1, 0.05, this.brushStrength,
+      (value) => { this.brushStrength = value; });
+
+    // Hole stats
+    this.statsElement = document.createElement('div');
+    this.statsElement.style.marginTop = '10px';
+    panel.appendChild(this.statsElement);
+
+    // File and mode buttons
+    const actions = document.createElement('div');
+    actions.style.marginTop = '10px';
+    actions.appendChild(makeButton('Save', () => this.save()));
+    actions.appendChild(makeButton('Load', () => this.load()));
+    actions.appendChild(makeButton('Play hole', () => this.disable()));
+    panel.appendChild(actions);
+
+    this.statusElement = document.createElement('div');
+    this.statusElement.style.marginTop = '8px';
+    this.statusElement.style.color = '#FFD700';
+    panel.appendChild(this.statusElement);
+
+    const help = document.createElement('div');
+    help.style.marginTop = '8px';
+    help.style.opacity = '0.6';
+    help.style.fontSize = '11px';
+    help.innerHTML = 'Left drag: use tool<br>Right drag: orbit, middle drag: pan<br>Wheel: zoom, [ ]: brush size<br>E: back to play';
+    panel.appendChild(help);
+
+    document.body.appendChild(panel);
+    this.panel = panel;
+    this.setTool(this.tool);
+  }
+
+  removePanel() {
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+    this.panel = null;
+    this.statusElement = null;
+    this.statsElement = null;
+  }
+
+  updateStats() {
+    if (!this.statsElement) return;
+    const { par, yardage } = this.game.terrain;
+    this.statsElement.textContent = `Par ${par} | ${yardage} yds`;
+  }
+
+  setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+    }
+  }
+}
+
+export default HoleEditor;
@@ -0,0 +1,252 @@
+// Steepest grade (rise over run) the route from tee to green may climb or drop between neighbouring vertices
+const MAX_ROUTE_GRADE = 0.6;
+
+// Steepest grade allowed anywhere inside the fairway
+const MAX_FAIRWAY_SLOPE = 0.55;
+
+// Average grade of the green above which it can't be putted on
+const MAX_GREEN_SLOPE = 0.06;
+
+// Share of the fairway that may lie under water
+const MAX_FLOODED_FAIRWAY = 0.15;
+
+// Distance (metres) in front of each tee box checked for a wall, and the steepest rise allowed there
+const TEE_VIEW_DISTANCE = 40;
+const MAX_TEE_RISE_GRADE = 0.4;
+
+// Neighbouring vertices (x and z index offsets) the route may step to
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+/**
+ * Hole validator for ThreeWood
+ * Checks that a generated hole can be played: there is a way from every tee to the green
+ * without climbing walls or being forced into a hazard, the fairway is neither too steep nor
+ * flooded, the green is flat enough to putt and no tee box faces a wall
+ */
+class HoleValidator {
+  /**
+   * @param {TerrainGenerator} terrain - Fully generated terrain, with its tees, pins, surfaces and bridges
+   */
+  constructor(terrain) {
+    this.terrain = terrain;
+  }
+
+  /**
+   * Run every check on the hole
+   * Only looks at things common to every difficulty (all tee boxes, all pins), so a seed passes or
+   * fails the same for every player
+   * @returns {string[]} Why the hole can't be played - empty if it's fine
+   */
+  validate() {
+    const problems = [];
+    const { terrain } = this;
+    const targets = [...terrain.tees, ...terrain.pins];
+
+    // Walk out from the green over ground that isn't too steep, then again keeping out of every hazard
+    if (!this.canReach(targets, false)) {
+      problems.push('no route from the tee to the green');
+    } else if (!this.canReach(targets, true)) {
+      problems.push('hazards block every route from the tee to the green');
+    }
+
+    const fairwaySlope = this.getMaxSlope(surface => surface === 'fairway');
+    if (fairwaySlope > MAX_FAIRWAY_SLOPE) {
+      problems.push(`fairway too steep (grade ${fairwaySlope.toFixed(2)})`);
+    }
+
+    const flooded = this.getFloodedFairwayShare();
+    if (flooded > MAX_FLOODED_FAIRWAY) {
+      problems.push(`fairway ${Math.round(flooded * 100)}% under water`);
+    }
+
+    const greenSlope = this.getGreenSlope();
+    if (greenSlope > MAX_GREEN_SLOPE) {
+      problems.push(`green too sloped to putt (grade ${greenSlope.toFixed(2)})`);
+    }
+
+    terrain.tees.forEach((tee, i) => {
+      const rise = this.getTeeRiseGrade(tee);
+      if (rise > MAX_TEE_RISE_GRADE) {
+        problems.push(`tee ${i + 1} faces a wall (grade ${rise.toFixed(2)})`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Check whether every target can be reached on foot from the middle of the green
+   * @param {THREE.Vector3[]} targets - Tee boxes and pin spots
+   * @param {boolean} avoidHazards - Keep out of bunkers as well as water
+   * @returns {boolean}
+   */
+  canReach(targets, avoidHazards) {
+    const { terrain } = this;
+    const { width, length, segmentsW, segmentsL } = terrain.options;
+    const cellW = width / segmentsW;
+    const cellL = length / segmentsL;
+    const toIndex = (x, z) => [
+      Math.round((x + width / 2) / width * segmentsW),
+      Math.round((z + length / 2) / length * segmentsL)
+    ];
+
+    // Water can only be crossed on a bridge, and out of bounds is off limits
+    const isPassable = (xIndex, zIndex) => {
+      const x = xIndex * cellW - width / 2;
+      const z = zIndex * cellL - length / 2;
+      if (terrain.isOutOfBounds(x, z)) return false;
+      const surface = terrain.getSurfaceTypeAtPosition(x, z);
+      if (surface === 'water' || (avoidHazards && surface === 'bunker')) {
+        return terrain.bridges !== null && terrain.bridges.getDeck(x, z) !== null;
+      }
+      return true;
+    };
+
+    const visited = new Uint8Array((segmentsW + 1) * (segmentsL + 1));
+    const [startX, startZ] = toIndex(terrain.pins[0].x, terrain.pins[0].z);
+    const queue = [[startX, startZ]];
+    visited[startX * (segmentsL + 1) + startZ] = 1;
+
+    while (queue.length > 0) {
+      const [xIndex, zIndex] = queue.pop();
+      const height = terrain.heightMap[xIndex][zIndex];
+
+      NEIGHBOURS.forEach(([dx, dz]) => {
+        const nextX = xIndex + dx;
+        const nextZ = zIndex + dz;
+        if (nextX < 0 || nextX > segmentsW || nextZ < 0 || nextZ > segmentsL) return;
+        const index = nextX * (segmentsL + 1) + nextZ;
+        if (visited[index]) return;
+
+        const run = Math.hypot(dx * cellW, dz * cellL);
+        if (Math.abs(terrain.heightMap[nextX][nextZ] - height) / run > MAX_ROUTE_GRADE) return;
+        if (!isPassable(nextX, nextZ)) return;
+
+        visited[index] = 1;
+        queue.push([nextX, nextZ]);
+      });
+    }
+
+    return targets.every((target) => {
+      const [xIndex, zIndex] = toIndex(target.x, target.z);
+      return visited[xIndex * (segmentsL + 1) + zIndex] === 1;
+    });
+  }
+
+  /**
+   * Steepest grade at any heightmap vertex inside the given surfaces
+   * @param {Function} includeSurface - (surface) => whether to include vertices of that surface
+   * @returns {number} Rise over run
+   */
+  getMaxSlope(includeSurface) {
+    const { width, length, segmentsW, segmentsL } = this.terrain.options;
+    const cellW = width / segmentsW;
+    const cellL = length / segmentsL;
+    const isIncluded = (x, z) => includeSurface(this.terrain.getSurfaceTypeAtPosition(x, z));
+
+    // Only vertices with the surface all round them, so the step down at its edge isn't counted
+    let steepest = 0;
+    this.forEachVertex((x, z, xIndex, zIndex) => {
+      if (!isIncluded(x, z)) return;
+      if (!isIncluded(x - cellW, z) || !isIncluded(x + cellW, z) || !isIncluded(x, z - cellL) || !isIncluded(x, z + cellL)) return;
+      steepest = Math.max(steepest, this.getVertexSlope(xIndex, zIndex));
+    });
+    return steepest;
+  }
+
+  /**
+   * Share of the fairway, from tee to green, under the water level and not bridged
+   * @returns {number} 0 to 1
+   */
+  getFloodedFairwayShare() {
+    const { terrain } = this;
+    const { waterLevel } = terrain.options;
+    let total = 0;
+    let flooded = 0;
+
+    this.forEachVertex((x, z) => {
+      if (!terrain.isOnFairway(x, z)) return;
+      total++;
+      const bridged = terrain.bridges !== null && terrain.bridges.getDeck(x, z) !== null;
+      if (!bridged && terrain.getGroundHeightAtPosition(x, z) < waterLevel) flooded++;
+    });
+
+    return total > 0 ? flooded / total : 0;
+  }
+
+  /**
+   * Average grade across the green around the pins
+   * Tee boxes count as green too, so only vertices near the middle of the green are measured
+   * @returns {number} Rise over run
+   */
+  getGreenSlope() {
+    const { terrain } = this;
+    const centre = terrain.pins[0];
+    let total = 0;
+    let count = 0;
+
+    this.forEachVertex((x, z, xIndex, zIndex) => {
+      if (Math.hypot(x - centre.x, z - centre.z) > terrain.greenSize) return;
+      if (terrain.getSurfaceTypeAtPosition(x, z) !== 'green') return;
+      total += this.getVertexSlope(xIndex, zIndex);
+      count++;
+    });
+
+    return count > 0 ? total / count : 0;
+  }
+
+  /**
+   * Steepest climb from a tee box along the line of play
+   * @param {THREE.Vector3} tee - Tee box
+   * @returns {number} Rise over run to the highest ground in front of the tee
+   */
+  getTeeRiseGrade(tee) {
+    const { terrain } = this;
+    const projection = terrain.getFairwayProjection(tee.x, tee.z);
+    const start = projection ? projection.along : 0;
+    let steepest = 0;
+
+    for (let distance = 5; distance <= TEE_VIEW_DISTANCE; distance += 5) {
+      const point = terrain.getFairwayPointAt(start + distance);
+      const run = Math.hypot(point.x - tee.x, point.z - tee.z);
+      if (run < 1) continue;
+      steepest = Math.max(steepest, (terrain.getGroundHeightAtPosition(point.x, point.z) - tee.y) / run);
+    }
+
+    return steepest;
+  }
+
+  /**
+   * Grade of the heightmap at a vertex, from its neighbours on either side
+   * @param {number} xIndex - Heightmap column
+   * @param {number} zIndex - Heightmap row
+   * @returns {number} Rise over run
+   */
+  getVertexSlope(xIndex, zIndex) {
+    const { heightMap, options } = this.terrain;
+    const { width, length, segmentsW, segmentsL } = options;
+    const left = Math.max(0, xIndex - 1);
+    const right = Math.min(segmentsW, xIndex + 1);
+    const back = Math.max(0, zIndex - 1);
+    const front = Math.min(segmentsL, zIndex + 1);
+
+    const gradX = (heightMap[right][zIndex] - heightMap[left][zIndex]) / ((right - left) * width / segmentsW);
+    const gradZ = (heightMap[xIndex][front] - heightMap[xIndex][back]) / ((front - back) * length / segmentsL);
+    return Math.hypot(gradX, gradZ);
+  }
+
+  /**
+   * Visit every heightmap vertex
+   * @param {Function} callback - (x, z, xIndex, zIndex) in world space and grid indices
+   */
+  forEachVertex(callback) {
+    const { width, length, segmentsW, segmentsL } = this.terrain.options;
+    for (let xIndex = 0; xIndex <= segmentsW; xIndex++) {
+      for (let zIndex = 0; zIndex <= segmentsL; zIndex++) {
+        callback(xIndex * width / segmentsW - width / 2, zIndex * length / segmentsL - length / 2, xIndex, zIndex);
+      }
+    }
+  }
+}
+
+export default HoleValidator;
@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+
+/**
+ * Image import helpers for ThreeWood
+ * Reads heightmap and surface-mask images so holes can be drawn in a paint program
+ */
+
+// Surface mask palette - each pixel takes the surface of the nearest colour
+export const SURFACE_MASK_COLORS = {
+  rough: 0x206020,
+  fairway: 0x40c040,
+  green: 0xa0ff60,
+  bunker: 0xf0e0a0,
+  water: 0x2060ff,
+  cart_path: 0x909090
+};
+
+const MASK_PALETTE = Object.entries(SURFACE_MASK_COLORS).map(([surface, hex]) => ({
+  surface,
+  r: (hex >> 16) & 255,
+  g: (hex >> 8) & 255,
+  b: hex & 255
+}));
+
+/**
+ * Load an image and read back its pixels
+ * @param {string} url - Image URL (PNG, WebP, ...)
+ * @returns {Promise<Object>} Pixels ({ width, height, data }) with RGBA bytes in data
+ */
+export async function loadImagePixels(url) {
+  const image = await new THREE.ImageLoader().loadAsync(url);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0);
+
+  const { data } = context.getImageData(0, 0, image.width, image.height);
+  return { width: image.width, height: image.height, data };
+}
+
+/**
+ * Get the RGBA values of one pixel, clamped to the image
+ * @param {Object} pixels - Pixels from loadImagePixels
+ * @param {number} px - Column
+ * @param {number} py - Row
+ * @returns {number[]} [r, g, b, a] in 0-255
+ */
+function getPixel(pixels, px, py) {
+  const x = Math.max(0, Math.min(pixels.width - 1, px));
+  const y = Math.max(0, Math.min(pixels.height - 1, py));
+  const i = (y * pixels.width + x) * 4;
+  return [pixels.data[i], pixels.data[i + 1], pixels.data[i + 2], pixels.data[i + 3]];
+}
+
+/**
+ * Sample the brightness of a grayscale image with bilinear filtering
+ * @param {Object} pixels - Pixels from loadImagePixels
+ * @param {number} u - Horizontal position, 0 (left) to 1 (right)
+ * @param {number} v - Vertical position, 0 (top) to 1 (bottom)
+ * @returns {number} Brightness from 0 to 1
+ */
+export function sampleBrightness(pixels, u, v) {
+  const fx = u * (pixels.width - 1);
+  const fy = v * (pixels.height - 1);
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const tx = fx - x0;
+  const ty = fy - y0;
+
+  // Average the colour channels so colour images still work
+  const brightness = (px, py) => {
+    const [r, g, b] = getPixel(pixels, px, py);
+    return (r + g + b) / (3 * 255);
+  };
+
+  const top = THREE.MathUtils.lerp(brightness(x0, y0), brightness(x0 + 1, y0), tx);
+  const bottom = THREE.MathUtils.lerp(brightness(x0, y0 + 1), brightness(x0 + 1, y0 + 1), tx);
+  return THREE.MathUtils.lerp(top, bottom, ty);
+}
+
+/**
+ * Classify the surface under a point of a colour-coded mask
+ * Uses the nearest pixel so surfaces keep hard edges
+ * @param {Object} pixels - Pixels from loadImagePixels
+ * @param {number} u - Horizontal position, 0 (left) to 1 (right)
+ * @param {number} v - Vertical position, 0 (top) to 1 (bottom)
+ * @returns {string} Surface type
+ */
+export function sampleSurface(pixels, u, v) {
+  const [r, g, b] = getPixel(
+    pixels,
+    Math.round(u * (pixels.width - 1)),
+    Math.round(v * (pixels.height - 1))
+  );
+
+  let best = MASK_PALETTE[0];
+  let bestDistance = Infinity;
+  MASK_PALETTE.forEach((entry) => {
+    const distance = (r - entry.r) ** 2 + (g - entry.g) ** 2 + (b - entry.b) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = entry;
+    }
+  });
+  return best.surface;
+}
+
+/**
+ * Load the heightmap and surface mask named in the page URL (?heightmap=...&mask=...)
+ * @returns {Promise<Object|null>} Pixels for both images ({ heightmap, mask }), or null to generate holes
+ */
+export async function loadImagesFromUrl() {
+  if (typeof window === 'undefined' || !window.location) return null;
+
+  const params = new URLSearchParams(window.location.search);
+  const heightmapPath = params.get('heightmap');
+  const maskPath = params.get('mask');
+  if (!heightmapPath || !maskPath) return null;
+
+  try {
+    const [heightmap, mask] = await Promise.all([loadImagePixels(heightmapPath), loadImagePixels(maskPath)]);
+    console.log(`Loaded heightmap ${heightmapPath} and surface mask ${maskPath}`);
+    return { heightmap, mask };
+  } catch (error) {
+    console.error(`Could not load hole images ${heightmapPath} and ${maskPath}, generating holes instead:`, error);
+    return null;
+  }
+}
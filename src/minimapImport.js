@@ -0,0 +1,493 @@
+import { loadImagePixels } from './imageImport.js';
+
+/**
+ * Minimap importer for ThreeWood
+ * Reads the illustrated hole maps in src/Minimaps and turns them into course maps
+ * (a surface per pixel plus tee and pin positions) for TerrainGenerator.generateFromSurfaceImage()
+ */
+
+export const MINIMAP_HOLE_COUNT = 18;
+
+// The maps are classified at half resolution - plenty for a 100 x 100 terrain grid
+const SAMPLE_STEP = 2;
+
+// Size of a classified pixel on the ground, chosen so the holes play close to their printed par
+// with the game's ball physics (the printed yardages would make every hole a par 5)
+const METRES_PER_PIXEL = 0.48;
+
+// Sizes in classified pixels
+const MIN_PATCH_AREA = 200; // Smaller surface patches are markers or artwork and get filled in
+const MIN_BUNKER_AREA = 60;
+const MIN_DOT_AREA = 35; // Tee marker dots
+const MAX_DOT_AREA = 350;
+const MAX_GREEN_RADIUS = 45; // How far the putting green may spread from the pin
+const MIN_FLAG_AREA = 150;
+
+// Surfaces that make up the course itself, as opposed to the cream background and artwork
+const LAND = new Set(['rough', 'fairway', 'water']);
+
+/**
+ * Get the URL of a bundled minimap
+ * @param {number} number - Hole number (1-18)
+ * @returns {string} Image URL
+ */
+export function getMinimapUrl(number) {
+  return new URL(`./Minimaps/hole-${number}-1.webp`, import.meta.url).href;
+}
+
+/**
+ * Sort a minimap pixel into a rough colour class
+ * @param {number} r - Red 0-255
+ * @param {number} g - Green 0-255
+ * @param {number} b - Blue 0-255
+ * @returns {string} 'red', 'dark', 'water', 'white', 'light', 'fairway', 'rough' or 'other'
+ */
+function classifyPixel(r, g, b) {
+  if (r > 180 && g < 90 && b < 100) return 'red'; // Flag, arrows and targets
+  if (r + g + b < 110 && Math.abs(r - g) < 30) return 'dark'; // Black tee markers, flagpole, text
+  if (b > 100 && b > r + 50 && b >= g - 20) return 'water';
+  if (r > 230 && g > 230 && b > 230) return 'white'; // White tee markers, text
+  if (r > 200 && g > 190 && b > 140 && r >= g - 10) return 'light'; // Cream background and sand
+  if (g > 150 && r > 120 && b < 150) return 'fairway'; // Yellow fairways, fringes and tee boxes
+  if (g > r + 15 && g > b) return 'rough'; // Rough, greens and trees
+  return 'other';
+}
+
+/**
+ * Find the 4-connected regions of pixels that pass a test
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} test - (index) => whether the pixel belongs to a region
+ * @param {Function} same - (a, b) => whether two neighbouring pixels belong to the same region
+ * @returns {Array<number[]>} Pixel indices of each region
+ */
+function findRegions(width, height, test, same = () => true) {
+  const visited = new Uint8Array(width * height);
+  const regions = [];
+
+  for (let start = 0; start < width * height; start++) {
+    if (visited[start] || !test(start)) continue;
+
+    const region = [];
+    const stack = [start];
+    visited[start] = 1;
+    while (stack.length > 0) {
+      const index = stack.pop();
+      region.push(index);
+      const x = index % width;
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        index - width,
+        index + width
+      ];
+      neighbours.forEach((next) => {
+        if (next < 0 || next >= width * height || visited[next]) return;
+        if (!test(next) || !same(index, next)) return;
+        visited[next] = 1;
+        stack.push(next);
+      });
+    }
+    regions.push(region);
+  }
+
+  return regions;
+}
+
+/**
+ * Get the bounding box and centre of a region
+ */
+function measureRegion(region, width) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  let sumX = 0;
+  let sumY = 0;
+  region.forEach((index) => {
+    const x = index % width;
+    const y = Math.floor(index / width);
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+    sumX += x;
+    sumY += y;
+  });
+  return {
+    minX,
+    minY,
+    maxX,
+    maxY,
+    centerX: sumX / region.length,
+    centerY: sumY / region.length
+  };
+}
+
+/**
+ * Check whether a region is a roughly round dot
+ */
+function isDot(region, bounds) {
+  const boxWidth = bounds.maxX - bounds.minX + 1;
+  const boxHeight = bounds.maxY - bounds.minY + 1;
+  return region.length >= MIN_DOT_AREA &&
+    region.length <= MAX_DOT_AREA &&
+    Math.max(boxWidth, boxHeight) / Math.min(boxWidth, boxHeight) < 1.6 &&
+    region.length / (boxWidth * boxHeight) > 0.55;
+}
+
+/**
+ * Count the surfaces bordering a region
+ * @returns {Object} Count per surface, with the most common as .best
+ */
+function countNeighbours(region, surfaces, width, height) {
+  const inRegion = new Set(region);
+  const counts = {};
+  let total = 0;
+  region.forEach((index) => {
+    const x = index % width;
+    [x > 0 ? index - 1 : -1, x < width - 1 ? index + 1 : -1, index - width, index + width].forEach((next) => {
+      if (next < 0 || next >= width * height || inRegion.has(next) || !surfaces[next]) return;
+      counts[surfaces[next]] = (counts[surfaces[next]] || 0) + 1;
+      total++;
+    });
+  });
+
+  let best = null;
+  Object.keys(counts).forEach((surface) => {
+    if (!best || counts[surface] > counts[best]) best = surface;
+  });
+  return { counts, total, best };
+}
+
+/**
+ * Classify a minimap into a course map
+ * @param {Object} pixels - Pixels ({ width, height, data }) of the minimap
+ * @returns {Object} Course map ({ width, height, metresPerPixel, surfaces, tees, pin }) - one surface
+ *   per pixel (row-major), tee markers ordered back tee first, and positions as [x, y] pixels
+ */
+export function classifyMinimap(pixels) {
+  const width = Math.floor(pixels.width / SAMPLE_STEP);
+  const height = Math.floor(pixels.height / SAMPLE_STEP);
+  const classes = new Array(width * height);
+  const greenTone = new Uint8Array(width * height); // Putting greens are drawn a purer green than the rough
+  const poleTone = new Uint8Array(width * height); // The flagpole is a dark line
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * SAMPLE_STEP * pixels.width + x * SAMPLE_STEP) * 4;
+      const [r, g, b] = [pixels.data[i], pixels.data[i + 1], pixels.data[i + 2]];
+      classes[y * width + x] = classifyPixel(r, g, b);
+      greenTone[y * width + x] = r < 22 && g > 100 ? 1 : 0;
+      poleTone[y * width + x] = r < 80 && g < 100 && b < 80 ? 1 : 0;
+    }
+  }
+
+  // The hole number box is a solid blue rectangle - keep it from being read as water
+  findRegions(width, height, index => classes[index] === 'water')
+    .forEach((region) => {
+      const bounds = measureRegion(region, width);
+      const boxWidth = bounds.maxX - bounds.minX + 1;
+      const boxHeight = bounds.maxY - bounds.minY + 1;
+      if (boxWidth < 20 || boxHeight < 20) return;
+      let edge = 0;
+      for (let x = bounds.minX; x <= bounds.maxX; x++) {
+        if (classes[bounds.minY * width + x] === 'water') edge++;
+        if (classes[bounds.maxY * width + x] === 'water') edge++;
+      }
+      for (let y = bounds.minY; y <= bounds.maxY; y++) {
+        if (classes[y * width + bounds.minX] === 'water') edge++;
+        if (classes[y * width + bounds.maxX] === 'water') edge++;
+      }
+      if (edge > (boxWidth + boxHeight) * 2 * 0.6) {
+        region.forEach((index) => { classes[index] = 'other'; });
+      }
+    });
+
+  // Measure the green frame around the map so the course can't join onto it
+  const frameDepth = (x, y, dx, dy) => {
+    let depth = 0;
+    while (classes[(y + dy * depth) * width + x + dx * depth] === 'rough' && depth < Math.min(width, height) / 4) {
+      depth++;
+    }
+    return depth;
+  };
+  const frame = Math.max(
+    frameDepth(0, height >> 1, 1, 0),
+    frameDepth(width - 1, height >> 1, -1, 0),
+    frameDepth(width >> 1, 0, 0, 1),
+    frameDepth(width >> 1, height - 1, 0, -1)
+  ) + 2;
+  const inFrame = (index) => {
+    const x = index % width;
+    const y = Math.floor(index / width);
+    return x < frame || y < frame || x >= width - frame || y >= height - frame;
+  };
+  const touchesFrame = region => region.some(index => inFrame(index));
+
+  // The course is the largest patch of land inside the frame; the hole number box and
+  // the green detail inset are smaller and separate
+  const course = findRegions(width, height, index => LAND.has(classes[index]) && !inFrame(index))
+    .reduce((largest, region) => (region.length > largest.length ? region : largest), []);
+  if (course.length === 0) {
+    throw new Error('No course found on the minimap');
+  }
+
+  const surfaces = new Array(width * height).fill(null);
+  course.forEach((index) => {
+    surfaces[index] = classes[index];
+  });
+
+  // Whatever the course surrounds (bunkers, markers, trees' outlines) is part of the hole.
+  // The course is grown a little first so thin distance lines can't join the inside to the outside
+  const grown = new Uint8Array(width * height);
+  course.forEach((index) => {
+    const x = index % width;
+    const y = Math.floor(index / width);
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        if (x + dx >= 0 && x + dx < width && y + dy >= 0 && y + dy < height) {
+          grown[(y + dy) * width + x + dx] = 1;
+        }
+      }
+    }
+  });
+  const outside = new Uint8Array(width * height);
+  findRegions(width, height, index => !grown[index])
+    .forEach((region) => {
+      if (touchesFrame(region)) {
+        region.forEach((index) => { outside[index] = 1; });
+      }
+    });
+  // Then the outside is grown back out to the edge of the course
+  for (let pass = 0; pass < 2; pass++) {
+    const edge = [];
+    outside.forEach((isOutside, index) => {
+      if (!isOutside) return;
+      const x = index % width;
+      [x > 0 ? index - 1 : -1, x < width - 1 ? index + 1 : -1, index - width, index + width].forEach((next) => {
+        if (next >= 0 && next < width * height && !outside[next] && surfaces[next] === null) edge.push(next);
+      });
+    });
+    edge.forEach((index) => { outside[index] = 1; });
+  }
+  const enclosed = findRegions(width, height, index => surfaces[index] === null && !outside[index]);
+
+  // Tee markers: black or white dots on or beside the course, and small coloured dots sitting in a tee box
+  const tees = [];
+  const addTee = (region) => {
+    const bounds = measureRegion(region, width);
+    if (isDot(region, bounds)) tees.push([bounds.centerX, bounds.centerY]);
+  };
+  findRegions(width, height, index => classes[index] === 'dark' || classes[index] === 'white', (a, b) => classes[a] === classes[b])
+    .forEach((region) => {
+      const bounds = measureRegion(region, width);
+      if (!isDot(region, bounds)) return;
+
+      // Legend dots sit on the background; markers are mostly surrounded by course
+      const ringRadius = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) * 0.75 + 2;
+      let onCourse = 0;
+      for (let i = 0; i < 16; i++) {
+        const x = Math.round(bounds.centerX + Math.cos(i / 16 * Math.PI * 2) * ringRadius);
+        const y = Math.round(bounds.centerY + Math.sin(i / 16 * Math.PI * 2) * ringRadius);
+        const index = y * width + x;
+        if (x >= 0 && y >= 0 && x < width && y < height && !outside[index] && classes[index] !== 'red') {
+          onCourse++;
+        }
+      }
+      if (onCourse >= 8) addTee(region);
+    });
+
+  // Fill what the course surrounds: big sandy patches are bunkers, the rest (markers, arrows,
+  // outlines) grows in from the nearest surface so thin lines don't cut across the hole
+  const pending = new Uint8Array(width * height);
+  enclosed.forEach((region) => {
+    const light = region.filter(index => classes[index] === 'light').length;
+    if (region.length >= MIN_BUNKER_AREA && light / region.length > 0.5) {
+      region.forEach((index) => { surfaces[index] = 'bunker'; });
+    } else {
+      region.forEach((index) => { pending[index] = 1; });
+    }
+  });
+  let frontier = [];
+  surfaces.forEach((surface, index) => {
+    if (surface) frontier.push(index);
+  });
+  while (frontier.length > 0) {
+    const next = [];
+    frontier.forEach((index) => {
+      const x = index % width;
+      [x > 0 ? index - 1 : -1, x < width - 1 ? index + 1 : -1, index - width, index + width].forEach((neighbour) => {
+        if (neighbour < 0 || neighbour >= width * height || !pending[neighbour]) return;
+        pending[neighbour] = 0;
+        surfaces[neighbour] = surfaces[index];
+        next.push(neighbour);
+      });
+    });
+    frontier = next;
+  }
+
+  // Clear specks - coloured tee markers show up as tiny patches of water or rough inside a tee box
+  findRegions(width, height, index => surfaces[index] !== null, (a, b) => surfaces[a] === surfaces[b])
+    .filter(region => region.length < MIN_PATCH_AREA)
+    .forEach((region) => {
+      const neighbours = countNeighbours(region, surfaces, width, height);
+      if (!neighbours.best) return;
+      if (surfaces[region[0]] !== 'fairway' && (neighbours.counts.fairway || 0) > neighbours.total * 0.7) {
+        addTee(region);
+      }
+      region.forEach((index) => { surfaces[index] = neighbours.best; });
+    });
+
+  // Shave off thin yellow lines - the glow around the course outline and stray artwork
+  const solidFairway = new Uint8Array(width * height);
+  surfaces.forEach((surface, index) => {
+    if (surface !== 'fairway') return;
+    const x = index % width;
+    const y = Math.floor(index / width);
+    let solid = x > 0 && y > 0 && x < width - 1 && y < height - 1;
+    for (let dy = -1; dy <= 1 && solid; dy++) {
+      for (let dx = -1; dx <= 1 && solid; dx++) {
+        solid = surfaces[(y + dy) * width + x + dx] === 'fairway';
+      }
+    }
+    solidFairway[index] = solid ? 1 : 0;
+  });
+  surfaces.forEach((surface, index) => {
+    if (surface !== 'fairway') return;
+    const x = index % width;
+    let nearSolid = false;
+    for (let dy = -1; dy <= 1 && !nearSolid; dy++) {
+      for (let dx = -1; dx <= 1 && !nearSolid; dx++) {
+        const next = index + dy * width + dx;
+        nearSolid = x + dx >= 0 && x + dx < width && next >= 0 && next < width * height && solidFairway[next] === 1;
+      }
+    }
+    if (!nearSolid) surfaces[index] = 'rough';
+  });
+
+  // Pin at the foot of the flagpole hanging from the flag
+  let pin = null;
+  let longestPole = 0;
+  findRegions(width, height, index => classes[index] === 'red')
+    .filter(region => region.length >= MIN_FLAG_AREA)
+    .forEach((region) => {
+      const bounds = measureRegion(region, width);
+      // The pole is on whichever side the flag flies from
+      const columns = [];
+      for (let dx = -3; dx <= 3; dx++) {
+        columns.push(bounds.minX + dx, bounds.maxX + dx);
+      }
+      columns.filter(x => x >= 0 && x < width).forEach((x) => {
+        // Follow the pole down from the bottom of the flag, stepping over small breaks in it
+        let y = null;
+        for (let row = bounds.maxY - 2, gap = 0; row < height && gap <= 3; row++) {
+          const index = row * width + x;
+          const thin = !poleTone[index - 3] && !poleTone[index + 3]; // Not a tree
+          if (poleTone[index] && thin) {
+            y = row;
+            gap = 0;
+          } else if (y !== null || row > bounds.maxY + 4) {
+            gap++;
+          }
+        }
+        if (y === null) return;
+        const poleLength = y - bounds.maxY;
+        if (poleLength > longestPole) {
+          longestPole = poleLength;
+          pin = [x, y];
+        }
+      });
+    });
+
+  // Fall back to the far end of the course from the tee
+  const coursePositions = [];
+  surfaces.forEach((surface, index) => {
+    if (surface) coursePositions.push([index % width, Math.floor(index / width)]);
+  });
+  const furthestFrom = (point) => coursePositions.reduce((best, position) =>
+    (Math.hypot(position[0] - point[0], position[1] - point[1]) > Math.hypot(best[0] - point[0], best[1] - point[1]) ? position : best));
+  if (!pin) {
+    pin = tees.length > 0 ? furthestFrom(tees[0]) : coursePositions.reduce((top, position) => (position[1] < top[1] ? position : top));
+  }
+
+  // The putting green is the patch of pure green around the pin, inside its fringe
+  const greenStack = [];
+  for (let dx = -4; dx <= 4; dx++) {
+    for (let dy = -4; dy <= 4; dy++) {
+      greenStack.push([Math.round(pin[0]) + dx, Math.round(pin[1]) + dy]);
+    }
+  }
+  const seen = new Set();
+  const greenCells = [];
+  while (greenStack.length > 0) {
+    const [x, y] = greenStack.pop();
+    const index = y * width + x;
+    if (x < 0 || y < 0 || x >= width || y >= height || seen.has(index)) continue;
+    seen.add(index);
+    if (Math.hypot(x - pin[0], y - pin[1]) > MAX_GREEN_RADIUS) continue;
+    // The flagpole crosses the green, so let the fill pass over it where there is green either side
+    const onPole = poleTone[index] && Math.abs(x - pin[0]) <= 2 &&
+      greenTone[index - 3] && greenTone[index + 3];
+    if (!greenTone[index] && !onPole) continue;
+    surfaces[index] = 'green';
+    greenCells.push([x, y]);
+    greenStack.push([x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]);
+  }
+
+  // Cut the hole in the middle of the green rather than right at its edge
+  if (greenCells.length > 0) {
+    pin = [
+      greenCells.reduce((sum, [x]) => sum + x, 0) / greenCells.length,
+      greenCells.reduce((sum, [, y]) => sum + y, 0) / greenCells.length
+    ];
+  }
+
+  // Tee markers further from the pin are the longer tees; anything well short of the
+  // back tee is a stray mark near the green
+  const distanceToPin = ([x, y]) => Math.hypot(x - pin[0], y - pin[1]);
+  tees.sort((a, b) => distanceToPin(b) - distanceToPin(a));
+  const teeMarkers = tees.filter(tee => distanceToPin(tee) > distanceToPin(tees[0]) * 0.5);
+  if (teeMarkers.length === 0) {
+    teeMarkers.push(furthestFrom(pin));
+  }
+
+  return {
+    width,
+    height,
+    metresPerPixel: METRES_PER_PIXEL,
+    surfaces: surfaces.map(surface => surface || 'rough'),
+    tees: teeMarkers,
+    pin
+  };
+}
+
+/**
+ * Load and classify every bundled minimap
+ * @returns {Promise<Array<Object>>} Course maps for holes 1-18
+ */
+export async function loadMinimaps() {
+  const maps = [];
+  for (let number = 1; number <= MINIMAP_HOLE_COUNT; number++) {
+    const pixels = await loadImagePixels(getMinimapUrl(number));
+    const map = classifyMinimap(pixels);
+    console.log(`Read minimap ${number}: ${map.tees.length} tee markers, pin at ${map.pin.map(Math.round).join(', ')}`);
+    maps.push(map);
+  }
+  return maps;
+}
+
+/**
+ * Load the minimap course if the page URL asks for it (?minimaps)
+ * @returns {Promise<Array<Object>|null>} Course maps, or null to generate holes
+ */
+export async function loadMinimapsFromUrl() {
+  if (typeof window === 'undefined' || !window.location) return null;
+  if (!new URLSearchParams(window.location.search).has('minimaps')) return null;
+
+  try {
+    return await loadMinimaps();
+  } catch (error) {
+    console.error('Could not read the minimaps, generating holes instead:', error);
+    return null;
+  }
+}
@@ -0,0 +1,392 @@
+import * as THREE from 'three';
+
+// Spacing (metres) between candidate spots along each side of the fairway
+const TREE_LINE_SPACING = 9;
+
+// How far past the fairway edge the tree lines stand (metres)
+const TREE_LINE_MIN_OFFSET = 5;
+const TREE_LINE_MAX_OFFSET = 22;
+
+// Scattered rocks and shrubs out in the deep rough
+const SCATTER_COUNT = 60;
+
+// Keep the tee boxes and green surrounds clear (metres)
+const TEE_CLEARANCE = 15;
+const GREEN_CLEARANCE = 28;
+
+// Velocity damping per second while the ball is inside foliage
+const CANOPY_DAMPING = 6;
+const SHRUB_DAMPING = 10;
+
+// Bounciness of solid obstacles
+const TRUNK_RESTITUTION = 0.35;
+const ROCK_RESTITUTION = 0.5;
+
+/**
+ * Trees, rocks and shrubs for ThreeWood
+ * Scatters low-poly obstacles through the rough, draws them with instancing
+ * and answers collision queries for the ball
+ */
+class ObstacleField {
+  /**
+   * @param {TerrainGenerator} terrain - Terrain with its heightmap, fairway and hazards generated
+   * @param {Object} [options]
+   * @param {number} [options.density] - Multiplier on the number of obstacles (0 disables them)
+   */
+  constructor(terrain, options = {}) {
+    this.terrain = terrain;
+    this.random = terrain.random;
+    this.options = {
+      density: options.density !== undefined ? options.density : 1
+    };
+
+    // Every placed obstacle ({ type, x, y, z, rotation, ... })
+    this.items = [];
+
+    // Instanced meshes, created on demand
+    this.group = null;
+  }
+
+  /**
+   * Place tree lines along the rough edges and scatter rocks and shrubs
+   * @returns {ObstacleField} this
+   */
+  generate() {
+    this.items = [];
+    if (this.options.density <= 0) return this;
+
+    const { fairwayPath } = this.terrain;
+    const { width, length } = this.terrain.options;
+    const spacing = TREE_LINE_SPACING / this.options.density;
+
+    // Tree lines on both sides of the fairway
+    if (fairwayPath) {
+      for (let along = 0; along <= fairwayPath.length; along += spacing) {
+        [-1, 1].forEach((side) => {
+          if (this.random() > 0.75) return;
+
+          const point = this.terrain.getFairwayPointAt(along + (this.random() - 0.5) * spacing);
+          const offset = point.width + THREE.MathUtils.lerp(TREE_LINE_MIN_OFFSET, TREE_LINE_MAX_OFFSET, this.random());
+          const x = point.x - point.dirZ * side * offset;
+          const z = point.z + point.dirX * side * offset;
+
+          const roll = this.random();
+          const type = roll < 0.7 ? 'tree' : roll < 0.9 ? 'shrub' : 'rock';
+          this.tryPlace(type, x, z);
+        });
+      }
+    }
+
+    // Rocks and shrubs out in the rough
+    const scatterCount = Math.round(SCATTER_COUNT * this.options.density);
+    for (let i = 0; i < scatterCount; i++) {
+      const x = (this.random() - 0.5) * (width - 20);
+      const z = (this.random() - 0.5) * (length - 20);
+      this.tryPlace(this.random() < 0.5 ? 'rock' : 'shrub', x, z);
+    }
+
+    return this;
+  }
+
+  /**
+   * Add an obstacle if the spot is in the rough and clear of the tee, green and other obstacles
+   * @returns {Object|null} The placed obstacle
+   */
+  tryPlace(type, x, z) {
+    const { tees, holePosition } = this.terrain;
+    const { width, length } = this.terrain.options;
+
+    if (Math.abs(x) > width / 2 - 5 || Math.abs(z) > length / 2 - 5) return null;
+    if (tees.some(tee => Math.hypot(x - tee.x, z - tee.z) < TEE_CLEARANCE)) return null;
+    if (Math.hypot(x - holePosition.x, z - holePosition.z) < GREEN_CLEARANCE) return null;
+    if (this.terrain.getSurfaceTypeAtPosition(x, z) !== 'rough') return null;
+
+    const obstacle = this.createObstacle(type, x, z);
+    const clear = this.items.every(other =>
+      Math.hypot(x - other.x, z - other.z) > obstacle.footprint + other.footprint
+    );
+    if (!clear) return null;
+
+    this.items.push(obstacle);
+    return obstacle;
+  }
+
+  /**
+   * Build the dimensions of an obstacle from the seeded random stream
+   */
+  createObstacle(type, x, z) {
+    const y = this.terrain.getHeightAtPosition(x, z);
+    const scale = THREE.MathUtils.lerp(0.8, 1.3, this.random());
+    const rotation = this.random() * Math.PI * 2;
+    const tint = this.random();
+
+    switch (type) {
+      case 'tree': {
+        const trunkHeight = 2.5 * scale;
+        const canopyRadius = 2.2 * scale;
+        const canopyHeight = 5 * scale;
+        return {
+          type, x, y, z, scale, rotation, tint,
+          trunkRadius: 0.25 * scale,
+          trunkHeight,
+          canopyRadius,
+          canopyHeight,
+          // Collision sphere for the cone of leaves
+          canopyCenterY: y + trunkHeight + canopyHeight * 0.35,
+          canopyCollisionRadius: canopyRadius * 1.05,
+          footprint: canopyRadius * 0.8
+        };
+      }
+      case 'rock': {
+        const radius = 0.6 * scale;
+        return {
+          type, x, y, z, scale, rotation, tint,
+          radius,
+          centerY: y + radius * 0.4, // Partly buried
+          footprint: radius
+        };
+      }
+      default: {
+        const radius = 0.9 * scale;
+        return {
+          type: 'shrub', x, y, z, scale, rotation, tint,
+          radius,
+          centerY: y + radius * 0.5,
+          footprint: radius
+        };
+      }
+    }
+  }
+
+  /**
+   * Sit every obstacle back on the ground, once the ground under it has been reshaped
+   * Collision heights move with it, so nothing floats or sinks
+   * @returns {ObstacleField} this
+   */
+  settle() {
+    this.items.forEach((item) => {
+      const rise = this.terrain.getHeightAtPosition(item.x, item.z) - item.y;
+      item.y += rise;
+      if (item.centerY !== undefined) item.centerY += rise;
+      if (item.canopyCenterY !== undefined) item.canopyCenterY += rise;
+    });
+    return this;
+  }
+
+  /**
+   * Create the instanced meshes for every obstacle
+   * @param {THREE.Scene} [scene] - Scene to add the obstacles to
+   * @returns {THREE.Group} Group holding the instanced meshes
+   */
+  createMeshes(scene) {
+    this.group = new THREE.Group();
+    this.group.name = 'obstacles';
+
+    const trees = this.items.filter(item => item.type === 'tree');
+    const rocks = this.items.filter(item => item.type === 'rock');
+    const shrubs = this.items.filter(item => item.type === 'shrub');
+
+    // Low-poly, flat-shaded parts for the PS1 look
+    const parts = [
+      {
+        items: trees,
+        geometry: new THREE.CylinderGeometry(0.7, 1, 1, 5).translate(0, 0.5, 0),
+        color: 0x6b4a2b,
+        place: (item, matrix) => matrix.compose(
+          new THREE.Vector3(item.x, item.y, item.z),
+          new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, item.rotation),
+          new THREE.Vector3(item.trunkRadius, item.trunkHeight + 0.5, item.trunkRadius)
+        )
+      },
+      {
+        items: trees,
+        geometry: new THREE.ConeGeometry(1, 1, 6).translate(0, 0.5, 0),
+        color: 0x2f6b2f,
+        tint: [0x2f6b2f, 0x3f7f35],
+        place: (item, matrix) => matrix.compose(
+          new THREE.Vector3(item.x, item.y + item.trunkHeight * 0.8, item.z),
+          new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, item.rotation),
+          new THREE.Vector3(item.canopyRadius, item.canopyHeight, item.canopyRadius)
+        )
+      },
+      {
+        items: rocks,
+        geometry: new THREE.DodecahedronGeometry(1, 0),
+        color: 0x8a8a80,
+        tint: [0x7a7a72, 0x9a968a],
+        place: (item, matrix) => matrix.compose(
+          new THREE.Vector3(item.x, item.centerY, item.z),
+          new THREE.Quaternion().setFromEuler(new THREE.Euler(item.rotation * 0.3, item.rotation, 0)),
+          new THREE.Vector3(item.radius, item.radius * 0.7, item.radius)
+        )
+      },
+      {
+        items: shrubs,
+        geometry: new THREE.IcosahedronGeometry(1, 0),
+        color: 0x4d7a33,
+        tint: [0x44702c, 0x5c8a3a],
+        place: (item, matrix) => matrix.compose(
+          new THREE.Vector3(item.x, item.centerY, item.z),
+          new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, item.rotation),
+          new THREE.Vector3(item.radius, item.radius * 0.8, item.radius)
+        )
+      }
+    ];
+
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color();
+
+    parts.forEach((part) => {
+      if (part.items.length === 0) {
+        part.geometry.dispose();
+        return;
+      }
+
+      const material = new THREE.MeshStandardMaterial({
+        color: part.tint ? 0xffffff : part.color,
+        roughness: 0.9,
+        flatShading: true
+      });
+      const mesh = new THREE.InstancedMesh(part.geometry, material, part.items.length);
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+
+      part.items.forEach((item, i) => {
+        mesh.setMatrixAt(i, part.place(item, matrix));
+        if (part.tint) {
+          mesh.setColorAt(i, color.set(part.tint[0]).lerp(new THREE.Color(part.tint[1]), item.tint));
+        }
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+
+      this.group.add(mesh);
+    });
+
+    if (scene) {
+      scene.add(this.group);
+    }
+
+    return this.group;
+  }
+
+  /**
+   * Find the first solid obstacle (trunk or rock) the ball hits while moving between two points
+   * @param {THREE.Vector3} start - Ball position at the start of the step
+   * @param {THREE.Vector3} end - Ball position at the end of the step
+   * @param {number} ballRadius - Radius of the ball
+   * @returns {Object|null} { obstacle, t, point, normal, restitution } or null
+   */
+  findCollision(start, end, ballRadius) {
+    let closest = null;
+    const reach = start.distanceTo(end) + ballRadius;
+
+    this.items.forEach((item) => {
+      // Cheap rejection on the horizontal distance
+      if (Math.hypot(start.x - item.x, start.z - item.z) > reach + item.footprint + 3) return;
+
+      let hit = null;
+      if (item.type === 'tree') {
+        hit = this.intersectTrunk(item, start, end, ballRadius);
+      } else if (item.type === 'rock') {
+        hit = this.intersectSphere(item.x, item.centerY, item.z, item.radius + ballRadius, start, end);
+        if (hit) hit.restitution = ROCK_RESTITUTION;
+      }
+
+      if (hit && (!closest || hit.t < closest.t)) {
+        hit.obstacle = item;
+        closest = hit;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Find foliage (a canopy or shrub) that contains a position
+   * @param {THREE.Vector3} position - Ball position
+   * @returns {Object|null} { obstacle, damping } - damping is the velocity loss rate per second
+   */
+  findFoliage(position) {
+    for (const item of this.items) {
+      if (item.type === 'tree') {
+        const distance = Math.hypot(position.x - item.x, position.y - item.canopyCenterY, position.z - item.z);
+        if (distance < item.canopyCollisionRadius) {
+          return { obstacle: item, damping: CANOPY_DAMPING };
+        }
+      } else if (item.type === 'shrub') {
+        const distance = Math.hypot(position.x - item.x, position.y - item.centerY, position.z - item.z);
+        if (distance < item.radius) {
+          return { obstacle: item, damping: SHRUB_DAMPING };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Intersect the ball's path with a tree trunk (vertical cylinder)
+   */
+  intersectTrunk(item, start, end, ballRadius) {
+    const radius = item.trunkRadius + ballRadius;
+    const dx = end.x - start.x;
+    const dz = end.z - start.z;
+    const fx = start.x - item.x;
+    const fz = start.z - item.z;
+
+    const a = dx * dx + dz * dz;
+    if (a === 0) return null;
+    const b = 2 * (fx * dx + fz * dz);
+    const c = fx * fx + fz * fz - radius * radius;
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    if (t < 0 || t > 1) return null;
+
+    const point = start.clone().lerp(end, t);
+    if (point.y < item.y || point.y > item.y + item.trunkHeight) return null;
+
+    const normal = new THREE.Vector3(point.x - item.x, 0, point.z - item.z).normalize();
+    return { t, point, normal, restitution: TRUNK_RESTITUTION };
+  }
+
+  /**
+   * Intersect the ball's path with a sphere
+   */
+  intersectSphere(cx, cy, cz, radius, start, end) {
+    const direction = end.clone().sub(start);
+    const offset = new THREE.Vector3(start.x - cx, start.y - cy, start.z - cz);
+
+    const a = direction.lengthSq();
+    if (a === 0) return null;
+    const b = 2 * offset.dot(direction);
+    const c = offset.lengthSq() - radius * radius;
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    if (t < 0 || t > 1) return null;
+
+    const point = start.clone().addScaledVector(direction, t);
+    const normal = new THREE.Vector3(point.x - cx, point.y - cy, point.z - cz).normalize();
+    return { t, point, normal };
+  }
+
+  /**
+   * Remove the obstacle meshes from the scene and free GPU resources
+   * @param {THREE.Scene} [scene] - Scene the obstacles were added to
+   */
+  dispose(scene) {
+    if (!this.group) return;
+    if (scene) scene.remove(this.group);
+    this.group.children.forEach((mesh) => {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      mesh.dispose();
+    });
+    this.group = null;
+  }
+}
+
+export default ObstacleField;
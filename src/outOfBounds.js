@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+
+// Distance (metres) from the fairway centre line to the out-of-bounds line
+const BOUNDARY_DISTANCE = 60;
+
+// Spacing (metres) of the white stakes along the line
+const STAKE_SPACING = 10;
+
+// Stake size (metres)
+const STAKE_HEIGHT = 1.2;
+const STAKE_WIDTH = 0.08;
+
+// Ground kept in bounds inside the edge of the map (metres)
+const EDGE_MARGIN = 2;
+
+/**
+ * Out-of-bounds line for ThreeWood
+ * Everything further than a set distance from the line of play, or off the map, is out of bounds.
+ * The line is marked with white stakes
+ */
+class OutOfBounds {
+  /**
+   * @param {TerrainGenerator} terrain - Terrain with its heightmap and fairway generated
+   * @param {Object} [options]
+   * @param {number} [options.distance] - Distance from the fairway centre line to the line (metres)
+   */
+  constructor(terrain, options = {}) {
+    this.terrain = terrain;
+    this.distance = options.distance || BOUNDARY_DISTANCE;
+
+    // Stake positions ({ x, y, z }) along the line
+    this.stakes = [];
+
+    // Instanced stake mesh, created on demand
+    this.group = null;
+  }
+
+  /**
+   * Place stakes along the line
+   * @returns {OutOfBounds} this
+   */
+  generate() {
+    this.stakes = [];
+
+    const { points } = this.terrain.fairwayPath;
+    const candidates = [];
+
+    // Down one side of the line of play, round the green, back up the other side and round the tee
+    const addSide = (line) => {
+      for (let i = 0; i < line.length - 1; i++) {
+        const a = line[i];
+        const b = line[i + 1];
+        const segmentLength = a.distanceTo(b);
+        if (segmentLength === 0) continue;
+        const normalX = -(b.y - a.y) / segmentLength;
+        const normalZ = (b.x - a.x) / segmentLength;
+        for (let along = 0; along < segmentLength; along += 1) {
+          const t = along / segmentLength;
+          candidates.push([
+            a.x + (b.x - a.x) * t + normalX * this.distance,
+            a.y + (b.y - a.y) * t + normalZ * this.distance
+          ]);
+        }
+      }
+    };
+    const addEnd = (line) => {
+      const end = line[line.length - 1];
+      const before = line[line.length - 2];
+      const start = Math.atan2(end.y - before.y, end.x - before.x) + Math.PI / 2;
+      for (let angle = 0; angle <= Math.PI; angle += 1 / this.distance) {
+        candidates.push([
+          end.x + Math.cos(start - angle) * this.distance,
+          end.y + Math.sin(start - angle) * this.distance
+        ]);
+      }
+    };
+    const reversed = points.slice().reverse();
+    addSide(points);
+    addEnd(points);
+    addSide(reversed);
+    addEnd(reversed);
+
+    // Keep the spots that really are on the line (the inside of a sharp bend folds back into bounds),
+    // spaced out along it
+    let last = null;
+    candidates.forEach(([x, z]) => {
+      if (Math.abs(this.getDistanceFromLine(x, z) - this.distance) > 0.5) return;
+      if (this.isOffMap(x, z)) return;
+      if (last && Math.hypot(x - last[0], z - last[1]) < STAKE_SPACING) return;
+      if (this.terrain.getSurfaceTypeAtPosition(x, z) === 'water') return;
+
+      this.stakes.push({ x, y: this.terrain.getHeightAtPosition(x, z), z });
+      last = [x, z];
+    });
+
+    return this;
+  }
+
+  /**
+   * Get the distance from a point to the fairway centre line, including past its ends
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {number} Distance in metres
+   */
+  getDistanceFromLine(x, z) {
+    const { points } = this.terrain.fairwayPath;
+    let closest = Infinity;
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i];
+      const b = points[i + 1];
+      const abX = b.x - a.x;
+      const abZ = b.y - a.y;
+      const lengthSq = abX * abX + abZ * abZ;
+      const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * abX + (z - a.y) * abZ) / lengthSq));
+      closest = Math.min(closest, Math.hypot(x - a.x - abX * t, z - a.y - abZ * t));
+    }
+
+    return closest;
+  }
+
+  /**
+   * Check whether a point is off the edge of the map
+   */
+  isOffMap(x, z) {
+    const { width, length } = this.terrain.options;
+    return Math.abs(x) > width / 2 - EDGE_MARGIN || Math.abs(z) > length / 2 - EDGE_MARGIN;
+  }
+
+  /**
+   * Check whether a point is out of bounds
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {boolean}
+   */
+  isOutOfBounds(x, z) {
+    return this.isOffMap(x, z) || this.getDistanceFromLine(x, z) > this.distance;
+  }
+
+  /**
+   * Create the instanced stake mesh
+   * @param {THREE.Scene} [scene] - Scene to add the stakes to
+   * @returns {THREE.Group} Group holding the stakes
+   */
+  createMeshes(scene) {
+    this.group = new THREE.Group();
+    this.group.name = 'out-of-bounds';
+
+    if (this.stakes.length > 0) {
+      const geometry = new THREE.BoxGeometry(STAKE_WIDTH, STAKE_HEIGHT, STAKE_WIDTH).translate(0, STAKE_HEIGHT / 2, 0);
+      const material = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.6, flatShading: true });
+      const mesh = new THREE.InstancedMesh(geometry, material, this.stakes.length);
+      mesh.castShadow = true;
+
+      const matrix = new THREE.Matrix4();
+      this.stakes.forEach((stake, i) => {
+        // Knock the stakes in a little so they stand on slopes
+        mesh.setMatrixAt(i, matrix.makeTranslation(stake.x, stake.y - 0.1, stake.z));
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+
+      this.group.add(mesh);
+    }
+
+    if (scene) {
+      scene.add(this.group);
+    }
+
+    return this.group;
+  }
+
+  /**
+   * Remove the stakes from the scene and free GPU resources
+   * @param {THREE.Scene} [scene] - Scene the stakes were added to
+   */
+  dispose(scene) {
+    if (!this.group) return;
+    if (scene) scene.remove(this.group);
+    this.group.children.forEach((mesh) => {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      mesh.dispose();
+    });
+    this.group = null;
+  }
+}
+
+export default OutOfBounds;
@@ -0,0 +1,68 @@
+/**
+ * Seeded random number utilities for ThreeWood
+ * Lets course generation be reproduced from a single seed
+ */
+
+/**
+ * Convert a seed (number or string) into an unsigned 32-bit integer
+ * @param {number|string} seed - Seed value from options or the URL
+ * @returns {number} Normalized seed
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+
+  const text = String(seed).trim();
+
+  // Plain numbers in string form keep their numeric value
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  // Hash any other string (FNV-1a) so words can be used as seeds
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Function returning floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = normalizeSeed(seed);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed when none was supplied
+ * @returns {number} Random unsigned 32-bit seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Read the course seed from the page URL (?seed=...)
+ * @returns {number|null} Normalized seed, or null if the URL has none
+ */
+export function getSeedFromUrl() {
+  if (typeof window === 'undefined' || !window.location) return null;
+
+  const param = new URLSearchParams(window.location.search).get('seed');
+  if (param === null || param.trim() === '') return null;
+
+  return normalizeSeed(param);
+}
@@ -0,0 +1,142 @@
+import { normalizeSeed, randomSeed } from './random.js';
+
+/**
+ * Round model for ThreeWood
+ * Tracks the holes of a 9 or 18 hole round and the strokes taken on each
+ */
+class Round {
+  /**
+   * @param {Object} options
+   * @param {number|string} [options.seed] - Round seed (hole 1 is built from this seed)
+   * @param {number} [options.holeCount] - 9 or 18 holes (defaults to 18)
+   * @param {Object} [options.course] - Course file to play instead of generated holes
+   */
+  constructor(options = {}) {
+    this.course = options.course || null;
+    
+    // A loaded course is identified by the seed its first hole was built from
+    const seed = this.course ? this.course.holes[0].seed : options.seed;
+    this.seed = seed !== undefined && seed !== null
+      ? normalizeSeed(seed)
+      : randomSeed();
+    
+    if (this.course) {
+      this.holeCount = this.course.holes.length;
+    } else {
+      this.holeCount = options.holeCount === 9 ? 9 : 18;
+    }
+
+    // One entry per hole - par, yardage, strokes and penalty strokes are filled in as the round is played
+    this.holes = [];
+    for (let number = 1; number <= this.holeCount; number++) {
+      this.holes.push({
+        number,
+        seed: this.getHoleSeed(number),
+        par: null,
+        yardage: null,
+        strokes: null,
+        penalties: 0
+      });
+    }
+
+    this.currentHoleIndex = 0;
+  }
+
+  /**
+   * Derive the terrain seed for a hole from the round seed
+   * @param {number} number - Hole number (1-based)
+   * @returns {number} Terrain seed for that hole
+   */
+  getHoleSeed(number) {
+    // Course files keep the seed each hole was generated from
+    if (this.course && this.course.holes[number - 1].seed !== undefined) {
+      return normalizeSeed(this.course.holes[number - 1].seed);
+    }
+    
+    // Hole 1 uses the round seed directly so a shared seed rebuilds the same opening hole
+    if (number === 1) return this.seed;
+    return normalizeSeed(`${this.seed}:${number}`);
+  }
+
+  /**
+   * Get the hole currently being played
+   * @returns {Object} Hole entry ({ number, seed, par, yardage, strokes, penalties })
+   */
+  getCurrentHole() {
+    return this.holes[this.currentHoleIndex];
+  }
+
+  /**
+   * Set the par and yardage of the current hole once its terrain has been generated
+   * @param {number} par - Par for the hole
+   * @param {number} [yardage] - Official yardage for the hole
+   */
+  setPar(par, yardage = null) {
+    const hole = this.getCurrentHole();
+    hole.par = par;
+    hole.yardage = yardage;
+  }
+
+  /**
+   * Record the strokes taken on the current hole
+   * @param {number} strokes - Strokes taken, penalty strokes included
+   * @param {number} [penalties] - How many of those were penalty strokes
+   */
+  recordStrokes(strokes, penalties = 0) {
+    const hole = this.getCurrentHole();
+    hole.strokes = strokes;
+    hole.penalties = penalties;
+  }
+
+  /**
+   * Check whether there is a hole after the current one
+   * @returns {boolean}
+   */
+  hasNextHole() {
+    return this.currentHoleIndex < this.holeCount - 1;
+  }
+
+  /**
+   * Move on to the next hole
+   * @returns {Object|null} The next hole entry, or null if the round is over
+   */
+  nextHole() {
+    if (!this.hasNextHole()) return null;
+    this.currentHoleIndex++;
+    return this.getCurrentHole();
+  }
+
+  /**
+   * Check whether every hole has been completed
+   * @returns {boolean}
+   */
+  isComplete() {
+    return this.holes.every(hole => hole.strokes !== null);
+  }
+
+  /**
+   * Get round totals over the holes played so far
+   * @returns {Object} { strokes, penalties, par, yardage, toPar }
+   */
+  getTotals() {
+    const played = this.holes.filter(hole => hole.strokes !== null);
+    const strokes = played.reduce((sum, hole) => sum + hole.strokes, 0);
+    const penalties = played.reduce((sum, hole) => sum + hole.penalties, 0);
+    const par = played.reduce((sum, hole) => sum + (hole.par || 0), 0);
+    const yardage = played.reduce((sum, hole) => sum + (hole.yardage || 0), 0);
+    return { strokes, penalties, par, yardage, toPar: strokes - par };
+  }
+}
+
+/**
+ * Read the round length from the page URL (?holes=9 or ?holes=18)
+ * @returns {number} Number of holes in the round
+ */
+export function getHoleCountFromUrl() {
+  if (typeof window === 'undefined' || !window.location) return 18;
+
+  const param = new URLSearchParams(window.location.search).get('holes');
+  return param === '9' ? 9 : 18;
+}
+
+export default Round;
@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import GolfBall from './ball.js';
+import Wind from './wind.js';
+
+// Longest shot (seconds) simulated before giving up on the ball stopping
+const MAX_SHOT_TIME = 60;
+
+// Spacing (seconds) of the trajectory samples
+const SAMPLE_INTERVAL = 0.05;
+
+// Height (metres) of the bottom of the ball above the ground within which it counts as touching it,
+// once it has landed
+const CONTACT_DISTANCE = 0.1;
+
+/**
+ * Turn the wind asked for into one the ball can fly through
+ * @param {TerrainGenerator} terrain - Terrain the shot is played on
+ * @param {Wind|Object|null|undefined} wind - A Wind, a steady { speed, direction } wind (m/s and
+ *   radians from +X towards +Z), null for still air, or undefined for the hole's own wind
+ * @returns {Wind|null}
+ */
+function resolveWind(terrain, wind) {
+  if (wind === undefined) return terrain.wind || null;
+  if (wind === null || typeof wind.getVelocityAt === 'function') return wind;
+
+  const steady = new Wind(terrain);
+  steady.baseSpeed = wind.speed || 0;
+  steady.direction = wind.direction || 0;
+  return steady;
+}
+
+/**
+ * Play a shot without the game - no renderer, sound or DOM - and report where it went
+ * Runs the same fixed-step GolfBall physics as the game, so a shot simulated here flies and rolls
+ * exactly as the same shot played in the game would, and stops in the water or the cup where the
+ * game's would
+ * @param {Object} shot
+ * @param {TerrainGenerator} shot.terrain - Generated terrain to play on
+ * @param {THREE.Vector3} shot.start - Where the ball lies
+ * @param {number} shot.power - Power of the hit (0-100)
+ * @param {THREE.Vector3|number} shot.direction - Horizontal aim, as a vector or radians from +X towards +Z
+ * @param {number} [shot.loft=10] - Loft angle in degrees
+ * @param {number} [shot.sidespin=0] - Side spin (-1 to 1, negative = hook/left, positive = slice/right)
+ * @param {Wind|Object|null} [shot.wind] - Wind to play in (see resolveWind); the hole's wind if left out
+ * @param {number} [shot.sampleInterval] - Seconds between trajectory samples
+ * @param {number} [shot.maxTime] - Seconds to simulate at most
+ * @param {boolean} [shot.untilLanding=false] - Stop when the ball first touches the ground (rest is then the landing)
+ * @returns {Object} { trajectory, landing, landingVelocity, rest, surfaces, hazards, holed, time } - trajectory
+ *   is [{ time, position }], landing the first point the ball touched the ground or water (null if it never did)
+ *   and landingVelocity its velocity coming in, rest where it stopped, surfaces the surfaces it touched in order, hazards [{ type, position }]
+ *   for each bunker, water or out-of-bounds it found, holed whether it dropped into the cup, and time the seconds it was moving
+ */
+export function simulateShot({
+  terrain,
+  start,
+  power,
+  direction,
+  loft = 10,
+  sidespin = 0,
+  wind,
+  sampleInterval = SAMPLE_INTERVAL,
+  maxTime = MAX_SHOT_TIME,
+  untilLanding = false
+}) {
+  const ball = new GolfBall(terrain, { headless: true, quiet: true, wind: resolveWind(terrain, wind) });
+  ball.reset(start);
+
+  const aim = typeof direction === 'number'
+    ? new THREE.Vector3(Math.cos(direction), 0, Math.sin(direction))
+    : direction;
+  ball.hit(power, aim, loft, sidespin);
+
+  const result = {
+    trajectory: [], landing: null, landingVelocity: null, rest: null, surfaces: [], hazards: [], holed: false, time: 0
+  };
+  const addSample = () => result.trajectory.push({ time: ball.shotTime, position: ball.position.clone() });
+  const addHazard = (type) => {
+    if (!result.hazards.some(hazard => hazard.type === type)) {
+      result.hazards.push({ type, position: ball.position.clone() });
+    }
+  };
+
+  addSample();
+  let nextSample = sampleInterval;
+  let bounceCount = 0;
+
+  const velocity = new THREE.Vector3();
+  while (!ball.isResting && ball.shotTime < maxTime) {
+    velocity.copy(ball.velocity);
+    ball.step();
+    if (ball.shotTime >= nextSample) {
+      addSample();
+      nextSample += sampleInterval;
+    }
+
+    // Into the water - the ball stops there itself, as in the game. A ball that flies straight in lands there
+    if (ball.inWaterHazard) {
+      if (!result.landing) {
+        result.landing = ball.waterEntryPosition.clone();
+        result.landingVelocity = velocity.clone();
+      }
+      addHazard('water');
+      break;
+    }
+    result.holed = ball.inHole;
+
+    // Note the ground the ball lands, bounces and rolls on - it lands the first time it bounces or
+    // starts rolling, as it sits within touching distance of the ground at the start
+    const { x, y, z } = ball.position;
+    const bounced = ball.bounceCount > bounceCount;
+    bounceCount = ball.bounceCount;
+    const groundDistance = y - ball.options.radius - terrain.getHeightAtPosition(x, z);
+    const touching = !ball.inAir || bounced || (result.landing !== null && groundDistance <= CONTACT_DISTANCE);
+    if (!touching) continue;
+
+    if (!result.landing) {
+      result.landing = ball.position.clone();
+      result.landingVelocity = velocity.clone();
+    }
+    const surface = ball.getSurfaceType();
+    if (!result.surfaces.includes(surface)) result.surfaces.push(surface);
+    if (surface === 'bunker') addHazard('bunker');
+    if (untilLanding) break;
+  }
+
+  if (ball.outOfBounds || terrain.isOutOfBounds(ball.position.x, ball.position.z)) {
+    addHazard('out_of_bounds');
+  }
+
+  if (result.trajectory[result.trajectory.length - 1].time < ball.shotTime) addSample();
+  result.rest = ball.position.clone();
+  result.time = ball.shotTime;
+  return result;
+}
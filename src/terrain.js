@@ -1,6 +1,59 @@
 import * as THREE from 'three';
 import { createNoise2D } from 'simplex-noise';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { createRandom, normalizeSeed, randomSeed } from './random.js';
+import { DIFFICULTIES } from './difficulty.js';
+import { getTheme, getTextureSet } from './themes.js';
+import HazardPlanner, { getHazardRadiusAt, isInsideHazard } from './hazardPlanner.js';
+import ObstacleField from './obstacles.js';
+import OutOfBounds from './outOfBounds.js';
+import CartPath from './cartPath.js';
+import Bridges from './bridges.js';
+import HoleValidator from './holeValidator.js';
+import Wind from './wind.js';
+import { SURFACE_CODES, createCourse, decodeSurface, encodeSurfaceMap, getCourseHole } from './courseFormat.js';
+import { sampleBrightness, sampleSurface } from './imageImport.js';
+
+// Longest effective playing length (metres) for a par 3 and a par 4; anything longer is a par 5.
+// Tuned to the ball physics, where a full shot carries roughly 130 m.
+const PAR_LENGTH_LIMITS = { 3: 150, 4: 280 };
+
+// Shortest and longest tee-to-pin distance (metres) for a generated hole
+const MIN_HOLE_LENGTH = 110;
+const MAX_HOLE_LENGTH = 340;
+
+const METERS_TO_YARDS = 1.09361;
+
+// Seeds tried for a generated hole before settling for one that fails validation
+const MAX_HOLE_ATTEMPTS = 10;
+
+// Fairway half-width range (metres) and spacing of the sampled centre line
+const FAIRWAY_MIN_HALF_WIDTH = 9;
+const FAIRWAY_MAX_HALF_WIDTH = 17;
+const FAIRWAY_SAMPLE_SPACING = 5;
+
+// Tee boxes of a generated hole, as how far (metres) each sits up the first leg from the back tee.
+// No tee takes more than a fifth off the hole
+const TEE_BOX_OFFSETS = [0, 20, 45];
+const MAX_TEE_SHORTENING = 0.2;
+const TEE_BOX_RADIUS = 3;
+
+// Pin spots: kept this far (metres) inside the edge of the green, this far apart, and no steeper than this
+const PIN_EDGE_MARGIN = 3;
+const PIN_SPACING = 5;
+const MAX_PIN_SPOTS = 9;
+const PIN_MAX_SLOPE = 0.04;
+
+// How far (metres) round a pin spot to look for the edge of the green and hazards
+const PIN_SEARCH_RADIUS = 12;
+
+// Radius (metres) of the cup the ball drops into
+const HOLE_RADIUS = 0.15;
+
+// Where each difficulty plays from among the tee boxes (0 back, 1 forward) and which share of the
+// pin spots it picks from (0 the easiest, 1 the most tucked)
+const TEE_CHOICE = { back: 0, middle: 0.5, forward: 1 };
+const PIN_BANDS = { easy: [0, 1 / 3], medium: [1 / 3, 2 / 3], hard: [2 / 3, 1] };
 
 /**
  * Terrain generation for ThreeWood
@@ -8,6 +61,15 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
  */
 class TerrainGenerator {
   constructor(options = {}) {
+    // The theme supplies the noise, heights, hazards and water for anything the caller leaves out
+    this.theme = getTheme(options.theme);
+    options = {
+      ...this.theme.terrain,
+      waterColor: this.theme.water.color,
+      waterOpacity: this.theme.water.opacity,
+      ...options
+    };
+    
     this.options = {
       width: options.width || 400,
       length: options.length || 400,
@@ -21,25 +83,70 @@ class TerrainGenerator {
       heightScale: options.heightScale || 1.0,
       waterLevel: options.waterLevel || -0.8,
       waterColor: options.waterColor || 0x4466aa,
-      waterOpacity: options.waterOpacity || 0.8
+      waterOpacity: options.waterOpacity || 0.8,
+      hazards: options.hazards || {}, // Hazard counts ({ greensideBunkers, fairwayBunkers, ponds })
+      obstacleDensity: options.obstacleDensity !== undefined ? options.obstacleDensity : 1, // 0 for no trees, rocks or shrubs
+      difficulty: options.difficulty || null, // 'casual', 'regular' or 'expert' - picks the tee box and pin
+      pinSeed: options.pinSeed !== undefined ? options.pinSeed : 0, // Picks among the pin spots (see getPinSeedFromUrl)
+      theme: options.theme || 'parkland', // 'parkland', 'links', 'desert' or 'winter' (see themes.js)
+      validate: options.validate !== undefined ? options.validate : true, // Move on to the next seed if a generated hole can't be played
+      headless: options.headless || false // Build the hole without a mesh or textures, so it runs without a DOM (see simulateShot)
     };
     
-    // Initialize noise generator
-    this.noise = createNoise2D();
+    // Course seed - the same seed always builds the same hole
+    this.seed = options.seed !== undefined && options.seed !== null
+      ? normalizeSeed(options.seed)
+      : randomSeed();
     
-    // Terrain types (by height)
+    // Seeded random source for every choice made during generation
+    this.random = createRandom(this.seed);
+    
+    // Initialize noise generator from its own seeded stream
+    this.noise = createNoise2D(createRandom(this.seed));
+    
+    // Terrain types (by height), coloured by the theme
+    const { colors } = this.theme;
     this.terrainTypes = [
       { name: 'water', height: this.options.waterLevel, color: this.options.waterColor },
-      { name: 'bunker', height: -0.5, color: 0xDDCC88 },
-      { name: 'rough', height: 0.0, color: 0x669944 },
-      { name: 'fairway', height: 0.5, color: 0x88CC66 },
-      { name: 'green', height: 1.0, color: 0x66BB55 }
+      { name: 'bunker', height: -0.5, color: colors.bunker },
+      { name: 'rough', height: 0.0, color: colors.rough },
+      { name: 'fairway', height: 0.5, color: colors.fairway },
+      { name: 'green', height: 1.0, color: colors.green },
+      { name: 'cart_path', height: null, color: colors.cart_path } // Laid down, never found at a height
     ];
     
     // Initialize positions
     this.teePosition = new THREE.Vector3(0, 0, 0);
     this.holePosition = new THREE.Vector3(0, 0, 0);
     
+    // Every tee box from the back tee forward, and every pin spot from the easiest to the most tucked.
+    // teePosition and holePosition are the ones in play
+    this.tees = [];
+    this.pins = [];
+    
+    // Par and official yardage, worked out once the hole is generated
+    this.par = 3;
+    this.yardage = 0;
+    this.holeStats = null;
+    
+    // Bunkers and ponds placed by the hazard planner
+    this.hazards = [];
+    
+    // Trees, rocks and shrubs lining the rough
+    this.obstacles = null;
+    
+    // Out-of-bounds line and its stakes
+    this.outOfBounds = null;
+    
+    // Cart path from the tee to the green, if the hole has one
+    this.cartPath = null;
+    
+    // Bridges carrying the line of play over water
+    this.bridges = null;
+    
+    // Wind blowing across the hole, picked from the seed
+    this.wind = null;
+    
     // Initialize terrain mesh
     this.terrainMesh = null;
     
@@ -49,6 +156,10 @@ class TerrainGenerator {
 
     // Initialize heightmap for faster lookups
     this.heightMap = [];
+    
+    // Surface code per heightmap vertex - the one record of what is fairway, green, bunker, ...
+    // for colours, materials, friction and hazards alike. Built with the heights of every hole
+    this.surfaceMap = null;
   }
 
   /**
@@ -162,27 +273,27 @@ class TerrainGenerator {
   }
 
   /**
-   * Create a circular water area
-   */
-  createWaterArea(centerX, centerZ, radius, height) {
-    return (x, z) => {
-      const distance = Math.sqrt((x - centerX) ** 2 + (z - centerZ) ** 2);
-      if (distance < radius) {
-        return height;
-      }
-      return null;
-    };
-  }
-
-  /**
-   * Create a circular sand area (bunker)
+   * Create the height function for a planned hazard
+   * @param {Object} hazard - Hazard from the hazard planner
+   * @param {number} blendRadius - Width of the bank blending into the surrounding terrain
+   * @returns {Function} A function that returns the height at a given point
    */
-  createSandArea(centerX, centerZ, radius, height) {
+  createHazardArea(hazard, blendRadius = 2) {
     return (x, z) => {
-      const distance = Math.sqrt((x - centerX) ** 2 + (z - centerZ) ** 2);
-      if (distance < radius) {
-        return height;
+      const dx = x - hazard.x;
+      const dz = z - hazard.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance > hazard.boundingRadius + blendRadius) return null;
+      
+      const edge = getHazardRadiusAt(hazard, Math.atan2(dz, dx));
+      if (distance < edge) {
+        return hazard.height;
+      } else if (distance < edge + blendRadius) {
+        // Bank up to the surrounding terrain
+        const blendFactor = (distance - edge) / blendRadius;
+        return THREE.MathUtils.lerp(hazard.height, this.getNoiseHeight(x, z), blendFactor);
       }
+      
       return null;
     };
   }
@@ -209,9 +320,9 @@ class TerrainGenerator {
     
     // Create enhanced water material
     const waterMaterial = new THREE.MeshPhysicalMaterial({
-      color: new THREE.Color(0x4477cc), // Slightly more vibrant blue
+      color: new THREE.Color(this.options.waterColor),
       transparent: true,
-      opacity: 0.85,
+      opacity: this.options.waterOpacity,
       roughness: 0.05, // Very smooth for better reflections
       metalness: 0.1,
       reflectivity: 0.9, // High reflectivity
@@ -326,8 +437,9 @@ class TerrainGenerator {
     // Get ball position
     const ballPosition = ball.position.clone();
     
-    // Check if ball is at or below water level
-    const isInWater = ballPosition.y <= this.options.waterLevel + 0.1;
+    // Check if ball is at or below water level over a water surface
+    const isInWater = ballPosition.y <= this.options.waterLevel + 0.1 &&
+      this.isWaterHazard(ballPosition.x, ballPosition.y, ballPosition.z);
     
     // Initialize userData if it doesn't exist
     if (!ball.userData) {
@@ -581,38 +693,63 @@ class TerrainGenerator {
   
   /**
    * Generate the terrain mesh
+   * A hole that fails validation (see HoleValidator) is thrown away and built again from the next seed.
+   * A headless generator builds the heightmap, surfaces and wind the same way but no mesh
+   * @returns {THREE.Mesh|null} Terrain mesh, or null when headless
    */
   generateTerrain() {
-    const { width, length, segmentsW, segmentsL } = this.options;
+    for (let attempt = 1; ; attempt++) {
+      const geometry = this.generateHoleGeometry();
+      const problems = this.options.validate ? new HoleValidator(this).validate() : [];
+      
+      if (problems.length === 0 || attempt === MAX_HOLE_ATTEMPTS) {
+        if (problems.length > 0) {
+          console.warn(`[TerrainGenerator] No playable hole after ${attempt} seeds, keeping seed ${this.seed}: ${problems.join('; ')}`);
+        }
+        this.wind = new Wind(this).generate();
+        if (this.options.headless) {
+          geometry.dispose();
+          return null;
+        }
+        this.terrainMesh = this.createTerrainMesh(geometry);
+        return this.terrainMesh;
+      }
+      
+      const nextSeed = normalizeSeed(this.seed + 1);
+      console.log(`[TerrainGenerator] Seed ${this.seed} can't be played (${problems.join('; ')}), regenerating with seed ${nextSeed}`);
+      geometry.dispose();
+      this.seed = nextSeed;
+      this.noise = createNoise2D(createRandom(this.seed));
+    }
+  }
+
+  /**
+   * Lay out the hole for the current seed and build its heightmap, surfaces and geometry
+   * @returns {THREE.BufferGeometry} Terrain geometry, ready for createTerrainMesh
+   */
+  generateHoleGeometry() {
+    const { segmentsW, segmentsL } = this.options;
     
-    // Create plane geometry
-    const geometry = new THREE.PlaneGeometry(
-      width, 
-      length,
-      segmentsW,
-      segmentsL
-    );
+    // Restart the random stream so regenerating with the same seed is identical
+    this.random = createRandom(this.seed);
+    
+    // The noise slopes from tee to hole once they're placed, so start without them as a new generator does
+    this.teePosition = new THREE.Vector3(0, 0, 0);
+    this.holePosition = new THREE.Vector3(0, 0, 0);
+    
+    // Surfaces are worked out again once the new heights are in
+    this.surfaceMap = null;
+    this.cartPath = null;
+    this.bridges = null;
     
     // Initialize heightmap with appropriate dimensions
     this.heightMap = new Array(segmentsW + 1).fill(0).map(() => new Array(segmentsL + 1).fill(0));
-
-    // Rotate to be horizontal (XZ plane)
-    geometry.rotateX(-Math.PI / 2);
-    
-    // Access position data
-    const positions = geometry.getAttribute('position');
-    const colors = [];
     
     // Create tee and hole positions based on course layout
     this.placeTeeAndHole();
     
-    // Define tee area as a flat zone
-    const teeArea = this.createFlatArea(
-      this.teePosition.x, 
-      this.teePosition.z, 
-      3, // radius of tee area
-      this.teePosition.y
-    );
+    // Define each tee box as a flat zone
+    const teeAreas = this.tees.map(tee => this.createFlatArea(tee.x, tee.z, TEE_BOX_RADIUS, tee.y));
     
     // Define putting green as a kidney-shaped flat zone
     const greenArea = this.createPuttingGreen(
@@ -622,161 +759,814 @@ class TerrainGenerator {
       this.holePosition.y
     );
 
-    // Define water hazard area
-    const waterHazard = this.createWaterArea(
-      -width * 0.1, // X position
-      length * 0.2, // Z position
-      15, // Radius
-      this.options.waterLevel // Height at water level
-    );
-
-    // Define sand bunker area
-    const sandBunker = this.createSandArea(
-      width * 0.1, // X position
-      -length * 0.2, // Z position
-      10, // Radius
-      this.terrainTypes[1].height + 0.1 // Slightly above bunker base
+    // Place bunkers and ponds around the fairway and green
+    this.hazards = new HazardPlanner(this, this.options.hazards).plan();
+    const hazardAreas = this.hazards.map(hazard =>
+      this.createHazardArea(hazard, hazard.type === 'water' ? 3 : 1.5)
     );
-
-    this.waterHazardArea = waterHazard;
-    this.sandBunkerArea = sandBunker;
+    console.log(`[TerrainGenerator] Placed ${this.hazards.length} hazards:`, this.hazards.map(hazard => hazard.id).join(', '));
+    
+    // Bend the fairway edges around the hazards
+    this.fitFairwayToHazards(this.hazards.map(hazard => ({
+      x: hazard.x,
+      z: hazard.z,
+      radius: hazard.boundingRadius
+    })));
+    
+    // Route a cart path beside the fairway, clear of the hazards
+    this.cartPath = new CartPath(this).plan();
     
     // Modify each vertex height based on noise
-    for (let i = 0; i < positions.count; i++) {
-      const x = positions.getX(i);
-      const z = positions.getZ(i);
-      
-      // World coordinates
-      const worldX = x;
-      const worldZ = z;
-      
+    const geometry = this.createTerrainGeometry((worldX, worldZ) => {
       // Check for special areas first
-      let y = teeArea(worldX, worldZ);
+      let y = null;
+      for (let t = 0; y === null && t < teeAreas.length; t++) {
+        y = teeAreas[t](worldX, worldZ);
+      }
       if (y === null) y = greenArea(worldX, worldZ);
-      if (y === null) y = waterHazard(worldX, worldZ);
-      if (y === null) y = sandBunker(worldX, worldZ);
-      
+      for (let h = 0; y === null && h < hazardAreas.length; h++) {
+        y = hazardAreas[h](worldX, worldZ);
+      }
+    
       if (y === null) {
         y = this.getNoiseHeight(worldX, worldZ);
-        
+      
         // Ensure fairway is playable and flatter
         if (this.isOnFairway(worldX, worldZ)) {
           // Smooth fairway by averaging with neighbors and reducing height variation
           const samples = 5;
           let sum = y;
           for (let s = 0; s < samples; s++) {
-            const offsetX = (Math.random() - 0.5) * 2;
-            const offsetZ = (Math.random() - 0.5) * 2;
+            const offsetX = (this.random() - 0.5) * 2;
+            const offsetZ = (this.random() - 0.5) * 2;
             sum += this.getNoiseHeight(worldX + offsetX, worldZ + offsetZ);
           }
           y = sum / (samples + 1);
           y = THREE.MathUtils.lerp(y, this.holePosition.y, 0.5); // Increased flattening towards hole
         }
+        
+        // Level the cart path into the ground
+        y = this.cartPath.levelGround(worldX, worldZ, y);
       }
-      
-      // Set the vertex height directly (no snapping)
-      if (!Number.isFinite(y)) {
-        console.warn(`Calculated height 'y' is non-finite for vertex (${worldX}, ${worldZ}). Setting to 0.`);
-        y = 0;
-      }
-      positions.setY(i, y);
+    
+      return y;
+    });
+    
+    // Line the rough with trees, rocks and shrubs
+    this.obstacles = new ObstacleField(this, { density: this.options.obstacleDensity }).generate();
+    
+    // Stake out of bounds along the hole
+    this.outOfBounds = new OutOfBounds(this).generate();
+    
+    // Bridge any water across the line of play
+    this.bridges = new Bridges(this).generate();
+    
+    // Cut the pin spots into the finished green, then pick the tee and pin in play.
+    // Everything above is built around the green centre, so the course is the same whichever is picked
+    this.pins = this.findPinSpots();
+    this.selectTeeAndPin();
+    
+    // Work out par and yardage now the heightmap is complete
+    this.calculatePar();
+    
+    return geometry;
+  }
 
-      // Store height in heightmap
-      const xIndex = Math.floor((worldX + width / 2) / width * segmentsW);
-      const zIndex = Math.floor((worldZ + length / 2) / length * segmentsL);
-      if (xIndex >= 0 && xIndex <= segmentsW && zIndex >= 0 && zIndex <= segmentsL) {
-        this.heightMap[xIndex][zIndex] = y;
+  /**
+   * Visit every heightmap vertex inside a circle
+   * @param {number} x - Circle centre X in world space
+   * @param {number} z - Circle centre Z in world space
+   * @param {number} radius - Circle radius in metres
+   * @param {Function} callback - (xIndex, zIndex, distance) for each vertex
+   */
+  forEachVertexInRadius(x, z, radius, callback) {
+    const { width, length, segmentsW, segmentsL } = this.options;
+    const cellW = width / segmentsW;
+    const cellL = length / segmentsL;
+    
+    const minX = Math.max(0, Math.floor((x - radius + width / 2) / cellW));
+    const maxX = Math.min(segmentsW, Math.ceil((x + radius + width / 2) / cellW));
+    const minZ = Math.max(0, Math.floor((z - radius + length / 2) / cellL));
+    const maxZ = Math.min(segmentsL, Math.ceil((z + radius + length / 2) / cellL));
+    
+    for (let xIndex = minX; xIndex <= maxX; xIndex++) {
+      for (let zIndex = minZ; zIndex <= maxZ; zIndex++) {
+        const distance = Math.hypot(xIndex * cellW - width / 2 - x, zIndex * cellL - length / 2 - z);
+        if (distance <= radius) {
+          callback(xIndex, zIndex, distance);
+        }
       }
+    }
+  }
+
+  /**
+   * Sculpt the terrain with a round brush (used by the hole editor)
+   * @param {number} x - Brush centre X in world space
+   * @param {number} z - Brush centre Z in world space
+   * @param {number} radius - Brush radius in metres
+   * @param {string} mode - 'raise', 'lower', 'flatten' or 'smooth'
+   * @param {number} strength - Metres of height change at the centre (raise/lower) or blend amount 0-1 (flatten/smooth)
+   * @param {number} [targetHeight] - Height to flatten towards
+   */
+  sculpt(x, z, radius, mode, strength, targetHeight = 0) {
+    if (!this.terrainMesh) return;
+    
+    const { segmentsW, segmentsL } = this.options;
+    const geometry = this.terrainMesh.geometry;
+    const positions = geometry.getAttribute('position');
+    
+    // Smoothing reads the heights from before this dab
+    const source = mode === 'smooth' ? this.heightMap.map(column => column.slice()) : this.heightMap;
+    const heightAt = (xIndex, zIndex) => source[
+      Math.max(0, Math.min(segmentsW, xIndex))
+    ][
+      Math.max(0, Math.min(segmentsL, zIndex))
+    ];
+    
+    this.forEachVertexInRadius(x, z, radius, (xIndex, zIndex, distance) => {
+      // Soft cosine falloff towards the brush edge
+      const falloff = 0.5 * (1 + Math.cos(Math.PI * distance / radius));
+      let height = this.heightMap[xIndex][zIndex];
       
-      // Determine terrain type based on height and add color
-      let terrainType = this.getTerrainTypeAtHeight(y);
-      
-      // Force fairway coloring even if height would indicate otherwise
-      if (this.isOnFairway(worldX, worldZ) && y >= -0.5) {
-        terrainType = this.terrainTypes[3]; // Fairway color
+      switch (mode) {
+        case 'raise':
+          height += strength * falloff;
+          break;
+        case 'lower':
+          height -= strength * falloff;
+          break;
+        case 'flatten':
+          height = THREE.MathUtils.lerp(height, targetHeight, Math.min(1, strength * falloff));
+          break;
+        case 'smooth': {
+          const average = (
+            heightAt(xIndex - 1, zIndex) + heightAt(xIndex + 1, zIndex) +
+            heightAt(xIndex, zIndex - 1) + heightAt(xIndex, zIndex + 1)
+          ) / 4;
+          height = THREE.MathUtils.lerp(height, average, Math.min(1, strength * falloff));
+          break;
+        }
       }
       
-      const color = new THREE.Color(terrainType.color);
-      colors.push(color.r, color.g, color.b);
+      this.heightMap[xIndex][zIndex] = height;
+      positions.setY(zIndex * (segmentsW + 1) + xIndex, height);
+    });
+    
+    positions.needsUpdate = true;
+    geometry.computeVertexNormals();
+    
+    // Keep raycasts against the mesh accurate
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    this.updateVertexColors();
+  }
+
+  /**
+   * Make sure there is a surface map, classifying every vertex of the heightmap if there isn't one yet
+   */
+  ensureSurfaceMap() {
+    if (this.surfaceMap) return;
+    
+    const { width, length, segmentsW, segmentsL } = this.options;
+    const surfaces = [];
+    for (let xIndex = 0; xIndex <= segmentsW; xIndex++) {
+      for (let zIndex = 0; zIndex <= segmentsL; zIndex++) {
+        const x = (xIndex / segmentsW - 0.5) * width;
+        const z = (zIndex / segmentsL - 0.5) * length;
+        surfaces.push(this.classifySurface(x, z, this.heightMap[xIndex][zIndex]));
+      }
     }
+    this.surfaceMap = encodeSurfaceMap(surfaces).split('');
+  }
+
+  /**
+   * Paint a surface type onto the terrain with a round brush (used by the hole editor)
+   * @param {number} x - Brush centre X in world space
+   * @param {number} z - Brush centre Z in world space
+   * @param {number} radius - Brush radius in metres
+   * @param {string} surface - 'fairway', 'rough', 'green', 'bunker', 'water' or 'cart_path'
+   */
+  paintSurface(x, z, radius, surface) {
+    const code = SURFACE_CODES[surface];
+    if (!code || !this.terrainMesh) return;
+    
+    this.ensureSurfaceMap();
+    const { segmentsL } = this.options;
+    this.forEachVertexInRadius(x, z, radius, (xIndex, zIndex) => {
+      this.surfaceMap[xIndex * (segmentsL + 1) + zIndex] = code;
+    });
     
-    // Add vertex colors to geometry
-    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    this.assignSurfaceMaterials(this.terrainMesh.geometry);
+    this.updateVertexColors();
+  }
+
+  /**
+   * Recolour the terrain vertices after an edit
+   */
+  updateVertexColors() {
+    const geometry = this.terrainMesh.geometry;
+    const positions = geometry.getAttribute('position');
+    const colors = geometry.getAttribute('color');
+    const color = new THREE.Color();
     
-    // Check for NaN values in positions attribute before computing normals
     for (let i = 0; i < positions.count; i++) {
-      const y = positions.getY(i);
-      if (!Number.isFinite(y)) {
-        const x = positions.getX(i);
-        const z = positions.getZ(i);
-        console.error(`NaN detected in terrain geometry at index ${i}, position (${x}, ${y}, ${z}). Setting y to 0.`);
-        positions.setY(i, 0); 
-      }
+      color.set(this.getTerrainColorAt(positions.getX(i), positions.getZ(i)));
+      colors.setXYZ(i, color.r, color.g, color.b);
     }
+    colors.needsUpdate = true;
+  }
 
-    // Recalculate normals for lighting
-    geometry.computeVertexNormals();
+  /**
+   * Move the tee in play; the back tee keeps the start of the line of play with it
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   */
+  moveTee(x, z) {
+    this.teePosition.set(x, this.getHeightAtPosition(x, z), z);
+    if (this.holeLayout && this.teePosition === this.tees[0]) {
+      this.holeLayout.controlPoints[0].set(x, z);
+      this.resampleFairway();
+    }
+  }
+
+  /**
+   * Move the pin (and the green around it), keeping the end of the line of play with it
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   */
+  movePin(x, z) {
+    this.holePosition.set(x, this.getHeightAtPosition(x, z), z);
+    if (this.greenParams) {
+      this.greenParams.centerX = x;
+      this.greenParams.centerZ = z;
+      this.greenParams.height = this.holePosition.y;
+    }
+    if (this.holeLayout) {
+      this.holeLayout.controlPoints[this.holeLayout.controlPoints.length - 1].set(x, z);
+      this.resampleFairway();
+    }
+    if (this.flagObject) this.flagObject.position.copy(this.holePosition);
+  }
+
+  /**
+   * Rebuild the fairway centre line after its control points have moved, keeping its width profile
+   */
+  resampleFairway() {
+    if (!this.fairwayPath) return;
+    
+    const oldWidths = this.fairwayPath.widths;
+    const curve = new THREE.SplineCurve(this.holeLayout.controlPoints);
+    const curveLength = curve.getLength();
+    const points = curve.getSpacedPoints(Math.max(2, Math.ceil(curveLength / FAIRWAY_SAMPLE_SPACING)));
+    const widths = points.map((point, i) => {
+      const k = (i / (points.length - 1)) * (oldWidths.length - 1);
+      const k0 = Math.floor(k);
+      const k1 = Math.min(k0 + 1, oldWidths.length - 1);
+      return THREE.MathUtils.lerp(oldWidths[k0], oldWidths[k1], k - k0);
+    });
     
-    // --- Begin TextureLoader and Material Setup ---
-    const textureLoader = new THREE.TextureLoader();
+    Object.assign(this.fairwayPath, { points, widths, length: curveLength });
+  }
 
-    // Texture paths (relative to src/Textures)
-    const texturePaths = {
-      green: {
-        map: 'src/Textures/Stylized_Grass_001_SD-20250506T130657Z-1-001/Stylized_Grass_001_SD/Stylized_Grass_001_basecolor.jpg',
-        normalMap: 'src/Textures/Stylized_Grass_001_SD-20250506T130657Z-1-001/Stylized_Grass_001_SD/Stylized_Grass_001_normal.jpg',
-        roughnessMap: 'src/Textures/Stylized_Grass_001_SD-20250506T130657Z-1-001/Stylized_Grass_001_SD/Stylized_Grass_001_roughness.jpg',
-      },
+  /**
+   * Export the current hole as a course file
+   * @param {string} [name] - Course name
+   * @returns {Object} Course data, ready for JSON.stringify
+   */
+  exportCourse(name) {
+    return createCourse([this.exportHole()], { name });
+  }
+
+  /**
+   * Capture everything needed to rebuild the current hole
+   * @returns {Object} Hole data for a course file
+   */
+  exportHole() {
+    const { width, length, segmentsW, segmentsL, minHeight, maxHeight, waterLevel } = this.options;
+    const heights = [];
+    
+    // Heightmap, x-major to match heightMap[xIndex][zIndex] and the surface map
+    for (let xIndex = 0; xIndex <= segmentsW; xIndex++) {
+      for (let zIndex = 0; zIndex <= segmentsL; zIndex++) {
+        heights.push(Math.round(this.heightMap[xIndex][zIndex] * 1000) / 1000);
+      }
+    }
+    
+    const toPoint = vector => [vector.x, vector.y];
+    
+    return {
+      seed: this.seed,
+      terrain: { width, length, segmentsW, segmentsL, minHeight, maxHeight, waterLevel },
+      heightMap: heights,
+      surfaceMap: this.surfaceMap.join(''),
+      // Heights are read again in case the ground under a tee or pin not in play was sculpted
+      tees: this.tees.map(tee => [tee.x, this.getHeightAtPosition(tee.x, tee.z), tee.z]),
+      pins: this.pins.map(pin => [pin.x, this.getHeightAtPosition(pin.x, pin.z), pin.z]),
+      green: { size: this.greenSize },
       fairway: {
-        map: 'src/Textures/Stylized_Grass_003_SD-20250506T130641Z-1-001/Stylized_Grass_003_SD/Stylized_Grass_003_basecolor.jpg',
-        normalMap: 'src/Textures/Stylized_Grass_003_SD-20250506T130641Z-1-001/Stylized_Grass_003_SD/Stylized_Grass_003_normal.jpg',
-        roughnessMap: 'src/Textures/Stylized_Grass_003_SD-20250506T130641Z-1-001/Stylized_Grass_003_SD/Stylized_Grass_003_roughness.jpg',
-      },
-      rough: {
-        map: 'src/Textures/Stylized_Grass_002_SD-20250506T130649Z-1-001/Stylized_Grass_002_SD/Stylized_Grass_002_basecolor.jpg',
-        normalMap: 'src/Textures/Stylized_Grass_002_SD-20250506T130649Z-1-001/Stylized_Grass_002_SD/Stylized_Grass_002_normal.jpg',
-        roughnessMap: 'src/Textures/Stylized_Grass_002_SD-20250506T130649Z-1-001/Stylized_Grass_002_SD/Stylized_Grass_002_roughness.jpg',
+        shape: this.fairwayPath.shape,
+        controlPoints: this.holeLayout ? this.holeLayout.controlPoints.map(toPoint) : [],
+        points: this.fairwayPath.points.map(toPoint),
+        widths: this.fairwayPath.widths
       },
-      bunker: {
-        map: 'src/Textures/Sand_006_SD-20250506T130354Z-1-001/Sand_006_SD/Sand_006_baseColor.jpg',
-        normalMap: 'src/Textures/Sand_006_SD-20250506T130354Z-1-001/Sand_006_SD/Sand_006_normal.jpg',
-        roughnessMap: 'src/Textures/Sand_006_SD-20250506T130354Z-1-001/Sand_006_SD/Sand_006_roughness.jpg',
-      }
+      hazards: this.hazards.map(hazard => ({ ...hazard, outline: hazard.outline.map(wave => ({ ...wave })) })),
+      obstacles: this.obstacles ? this.obstacles.items.map(item => ({ ...item })) : [],
+      outOfBounds: this.outOfBounds ? { distance: this.outOfBounds.distance } : null,
+      cartPath: this.cartPath ? this.cartPath.points.map(point => [point.x, point.y, point.z]) : null,
+      par: this.par,
+      // Course files give the yardage from the back tee
+      yardage: this.teePosition === this.tees[0] ? this.yardage : Math.round(this.holeStats.pathLength * METERS_TO_YARDS)
     };
+  }
 
-    // === TEXTURE TILING CONSTANT ===
-    const TERRAIN_TEXTURE_REPEAT = 50; // Increase/decrease for sharper or more stretched look
+  /**
+   * Build a hole from a course file instead of generating one
+   * @param {Object} course - Course data (see courseFormat.js)
+   * @param {number} [holeNumber] - Hole to load (1-based)
+   * @returns {THREE.Mesh|null} The terrain mesh, or null when headless
+   * @throws {Error} If the course can't be read
+   */
+  loadCourse(course, holeNumber = 1) {
+    const hole = getCourseHole(course, holeNumber);
+    const { segmentsL } = hole.terrain;
+    
+    // Terrain size and levels come from the file
+    Object.assign(this.options, hole.terrain);
+    this.terrainTypes[0].height = this.options.waterLevel;
+    
+    // Seed only drives the noise used beyond the edge of the map
+    if (hole.seed !== undefined && hole.seed !== null) {
+      this.seed = normalizeSeed(hole.seed);
+    }
+    this.random = createRandom(this.seed);
+    this.noise = createNoise2D(createRandom(this.seed));
+    
+    // Tees from the back tee forward, pins from the easiest, and the green around the first pin
+    this.tees = hole.tees.map(tee => new THREE.Vector3().fromArray(tee));
+    this.pins = hole.pins.map(pin => new THREE.Vector3().fromArray(pin));
+    this.greenSize = hole.green && hole.green.size ? hole.green.size : 15;
+    this.greenParams = {
+      centerX: this.pins[0].x,
+      centerZ: this.pins[0].z,
+      size: this.greenSize,
+      height: this.pins[0].y
+    };
+    this.selectTeeAndPin();
+    
+    // Fairway centre line
+    const toVector = ([x, z]) => new THREE.Vector2(x, z);
+    const fairway = hole.fairway || {};
+    const points = fairway.points && fairway.points.length > 1
+      ? fairway.points.map(toVector)
+      : [toVector([this.tees[0].x, this.tees[0].z]), toVector([this.pins[0].x, this.pins[0].z])];
+    let fairwayLength = 0;
+    for (let i = 1; i < points.length; i++) {
+      fairwayLength += points[i - 1].distanceTo(points[i]);
+    }
+    this.fairwayPath = {
+      shape: fairway.shape || 'straight',
+      points,
+      widths: fairway.widths && fairway.widths.length === points.length
+        ? fairway.widths.slice()
+        : points.map(() => FAIRWAY_MIN_HALF_WIDTH),
+      length: fairwayLength
+    };
+    this.holeLayout = {
+      shape: this.fairwayPath.shape,
+      controlPoints: fairway.controlPoints && fairway.controlPoints.length > 1
+        ? fairway.controlPoints.map(toVector)
+        : [points[0].clone(), points[points.length - 1].clone()]
+    };
+    
+    // Hazards and surfaces
+    this.hazards = (hole.hazards || []).map(hazard => ({ ...hazard, outline: (hazard.outline || []).map(wave => ({ ...wave })) }));
+    this.surfaceMap = hole.surfaceMap ? hole.surfaceMap.split('') : null;
+    
+    // Heights straight from the file
+    this.heightMap = [];
+    for (let xIndex = 0; xIndex <= this.options.segmentsW; xIndex++) {
+      this.heightMap.push(hole.heightMap.slice(xIndex * (segmentsL + 1), (xIndex + 1) * (segmentsL + 1)));
+    }
+    const heights = this.heightMap.map(column => column.slice());
+    const geometry = this.createTerrainGeometry((x, z, xIndex, zIndex) => heights[xIndex][zIndex]);
+    
+    // Designers may set par and the back tee yardage by hand; otherwise work them out as for a generated hole
+    this.calculatePar();
+    if (Number.isInteger(hole.par)) {
+      this.par = hole.par;
+      this.holeStats.par = hole.par;
+    }
+    if (Number.isFinite(hole.yardage) && this.teePosition === this.tees[0]) {
+      this.yardage = hole.yardage;
+      this.holeStats.yardage = hole.yardage;
+    }
+    
+    // Obstacles as saved, or scattered fresh if the file has none
+    this.obstacles = new ObstacleField(this, { density: this.options.obstacleDensity });
+    if (Array.isArray(hole.obstacles)) {
+      this.obstacles.items = hole.obstacles.map(item => ({ ...item }));
+    } else {
+      this.obstacles.generate();
+    }
+    
+    // Out of bounds at the saved distance from the line of play
+    this.outOfBounds = new OutOfBounds(this, hole.outOfBounds || {}).generate();
+    
+    // The cart path is already in the surface map; its centre line places the carts
+    this.cartPath = Array.isArray(hole.cartPath) ? new CartPath(this).setPoints(hole.cartPath) : null;
+    
+    // Bridges follow the water on the line of play, so they are built again rather than saved
+    this.bridges = new Bridges(this).generate();
+    
+    // Wind comes from the seed, like a generated hole's
+    this.wind = new Wind(this).generate();
+    
+    console.log(`[TerrainGenerator] Loaded hole ${holeNumber} of "${course.name}"`);
+    if (this.options.headless) {
+      geometry.dispose();
+      return null;
+    }
+    this.terrainMesh = this.createTerrainMesh(geometry);
+    return this.terrainMesh;
+  }
 
-    // Helper to load textures with error logging and proper tiling
-    function loadTextureWithTiling(path, renderer, repeat = TERRAIN_TEXTURE_REPEAT) {
-      const tex = textureLoader.load(
-        path,
-        () => {
-          tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-          tex.repeat.set(repeat, repeat);
-          if (renderer && renderer.capabilities) {
-            tex.anisotropy = renderer.capabilities.getMaxAnisotropy();
-          }
-        },
-        undefined,
-        (err) => {
-          console.warn('Texture failed to load:', path, err);
+  /**
+   * Build a hole from a grayscale heightmap and a colour-coded surface mask instead of noise
+   * Both images are resampled to the terrain grid; the top of an image is the -Z edge of the map
+   * @param {Object} heightmap - Pixels ({ width, height, data }) - black is minHeight, white is maxHeight
+   * @param {Object} mask - Pixels painted in the SURFACE_MASK_COLORS palette
+   * @param {Object} [placement] - Optional tee and pin positions ({ tees: [[x, z], ...], pin: [x, z] })
+   * @returns {THREE.Mesh|null} The terrain mesh, or null when headless
+   * @throws {Error} If no pin is given and the mask has no green
+   */
+  generateFromImages(heightmap, mask, placement = {}) {
+    const { segmentsW, segmentsL, minHeight, maxHeight } = this.options;
+
+    // Resample both images onto the vertex grid
+    const surfaces = [];
+    const heights = [];
+    for (let xIndex = 0; xIndex <= segmentsW; xIndex++) {
+      const column = [];
+      for (let zIndex = 0; zIndex <= segmentsL; zIndex++) {
+        const u = xIndex / segmentsW;
+        const v = zIndex / segmentsL;
+        const surface = sampleSurface(mask, u, v);
+        let height = THREE.MathUtils.lerp(minHeight, maxHeight, sampleBrightness(heightmap, u, v));
+
+        // Sink painted water under the water surface so it looks and plays like a pond
+        if (surface === 'water') {
+          height = Math.min(height, this.options.waterLevel - 0.6);
         }
-      );
-      tex.colorSpace = THREE.SRGBColorSpace;
-      return tex;
+
+        surfaces.push(surface);
+        column.push(height);
+      }
+      heights.push(column);
     }
 
+    console.log(`[TerrainGenerator] Building hole from ${heightmap.width}x${heightmap.height} heightmap and ${mask.width}x${mask.height} surface mask`);
+    return this.createMappedHole(surfaces, heights, placement);
+  }
 
-    // Get renderer for anisotropy settings
+  /**
+   * Build a hole from a classified course map (see minimapImport.js), with heights from noise
+   * The map is centred on the terrain and scaled to fit unless it gives its own scale; the top of
+   * the map is the -Z edge
+   * @param {Object} surfaceImage - Map ({ width, height, metresPerPixel, surfaces, tees, pin }) with one
+   *   surface per pixel (row-major) and tee/pin positions in pixels
+   * @returns {THREE.Mesh|null} The terrain mesh, or null when headless
+   */
+  generateFromSurfaceImage(surfaceImage) {
+    const { width, length, segmentsW, segmentsL } = this.options;
+    const metresPerPixel = surfaceImage.metresPerPixel ||
+      Math.min(width / surfaceImage.width, length / surfaceImage.height);
+    const toWorld = ([px, py]) => [
+      (px - surfaceImage.width / 2) * metresPerPixel,
+      (py - surfaceImage.height / 2) * metresPerPixel
+    ];
+
+    // Surfaces at each vertex; anything beyond the map is rough
+    const surfaces = [];
+    for (let xIndex = 0; xIndex <= segmentsW; xIndex++) {
+      for (let zIndex = 0; zIndex <= segmentsL; zIndex++) {
+        const px = Math.round((xIndex / segmentsW - 0.5) * width / metresPerPixel + surfaceImage.width / 2);
+        const py = Math.round((zIndex / segmentsL - 0.5) * length / metresPerPixel + surfaceImage.height / 2);
+        const inside = px >= 0 && px < surfaceImage.width && py >= 0 && py < surfaceImage.height;
+        surfaces.push(inside ? surfaceImage.surfaces[py * surfaceImage.width + px] : 'rough');
+      }
+    }
+
+    // Noise elevation, shaped like a generated hole: flat green, gentle fairway, sunken hazards
+    const pin = toWorld(surfaceImage.pin);
+    const greenHeight = Math.max(this.getNoiseHeight(pin[0], pin[1]), this.terrainTypes[2].height + 0.1);
+    const heights = [];
+    for (let xIndex = 0; xIndex <= segmentsW; xIndex++) {
+      const column = [];
+      for (let zIndex = 0; zIndex <= segmentsL; zIndex++) {
+        const x = (xIndex / segmentsW - 0.5) * width;
+        const z = (zIndex / segmentsL - 0.5) * length;
+        const y = this.getNoiseHeight(x, z);
+        switch (surfaces[xIndex * (segmentsL + 1) + zIndex]) {
+          case 'green':
+            column.push(greenHeight);
+            break;
+          case 'fairway':
+            column.push(THREE.MathUtils.lerp(y, greenHeight, 0.5));
+            break;
+          case 'bunker':
+            column.push(y - 0.3);
+            break;
+          default:
+            column.push(y);
+        }
+      }
+      heights.push(column);
+    }
+
+    // Soften the steps at surface edges, then make sure water sits under the water surface
+    const smoothed = heights.map((column, xIndex) => column.map((y, zIndex) => {
+      let sum = 0;
+      let count = 0;
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const neighbour = heights[xIndex + dx] && heights[xIndex + dx][zIndex + dz];
+          if (neighbour !== undefined) {
+            sum += neighbour;
+            count++;
+          }
+        }
+      }
+      const surface = surfaces[xIndex * (segmentsL + 1) + zIndex];
+      if (surface === 'green') return y;
+      if (surface === 'water') return Math.min(sum / count, this.options.waterLevel - 0.6);
+      return sum / count;
+    }));
+
+    console.log(`[TerrainGenerator] Building hole from ${surfaceImage.width}x${surfaceImage.height} course map (${metresPerPixel.toFixed(2)} m per pixel)`);
+    return this.createMappedHole(surfaces, smoothed, {
+      tees: surfaceImage.tees.map(toWorld),
+      pin
+    });
+  }
+
+  /**
+   * Finish a hole whose surfaces and heights came from a map rather than the hole generator
+   * @param {string[]} surfaces - Surface per vertex, x-major
+   * @param {number[][]} heights - Height per vertex as heights[xIndex][zIndex]
+   * @param {Object} placement - Optional tee and pin positions ({ tees: [[x, z], ...], pin: [x, z] });
+   *   the pin defaults to the middle of the green and the tee to the fairway furthest from it
+   * @returns {THREE.Mesh|null} The terrain mesh, or null when headless
+   * @throws {Error} If no pin is given and there is no green
+   */
+  createMappedHole(surfaces, heights, placement) {
+    const { width, length, segmentsW, segmentsL } = this.options;
+
+    // Still seeded - the fairway widths and obstacles are random
+    this.random = createRandom(this.seed);
+
+    this.surfaceMap = surfaces.map(surface => SURFACE_CODES[surface]);
+    this.heightMap = heights.map(column => column.slice());
+    this.hazards = [];
+    this.cartPath = null;
+    this.bridges = null;
+
+    // Pin in the middle of the green, tee on the fairway furthest from it
+    const cellPosition = (index) => new THREE.Vector2(
+      (Math.floor(index / (segmentsL + 1)) / segmentsW - 0.5) * width,
+      (index % (segmentsL + 1) / segmentsL - 0.5) * length
+    );
+    const greenCells = [];
+    surfaces.forEach((surface, i) => {
+      if (surface === 'green') greenCells.push(cellPosition(i));
+    });
+
+    let pin;
+    if (placement.pin) {
+      pin = new THREE.Vector2(placement.pin[0], placement.pin[1]);
+    } else if (greenCells.length > 0) {
+      pin = greenCells.reduce((sum, cell) => sum.add(cell), new THREE.Vector2()).divideScalar(greenCells.length);
+    } else {
+      throw new Error('Surface map has no green to put the pin on');
+    }
+
+    let tees;
+    if (placement.tees && placement.tees.length > 0) {
+      tees = placement.tees.map(([x, z]) => new THREE.Vector2(x, z));
+    } else {
+      let teeCell;
+      let furthest = -1;
+      surfaces.forEach((surface, i) => {
+        if (surface !== 'fairway') return;
+        const cell = cellPosition(i);
+        const distance = cell.distanceTo(pin);
+        if (distance > furthest) {
+          furthest = distance;
+          teeCell = cell;
+        }
+      });
+      // No fairway - tee off from the far side of the map
+      if (!teeCell) {
+        teeCell = new THREE.Vector2(pin.x > 0 ? -width * 0.4 : width * 0.4, pin.y);
+      }
+      tees = [teeCell];
+    }
+
+    // Laid out from the back tee to the middle of the green; the tee and pin in play are picked at the end
+    this.tees = tees.map(({ x, y }) => new THREE.Vector3(x, this.getHeightAtPosition(x, y), y));
+    this.teePosition = this.tees[0];
+    this.holePosition = new THREE.Vector3(pin.x, this.getHeightAtPosition(pin.x, pin.y), pin.y);
+    this.pins = [];
+    this.greenSize = Math.max(6, Math.sqrt(greenCells.length / Math.PI) * (width / segmentsW));
+    this.greenParams = {
+      centerX: pin.x,
+      centerZ: pin.y,
+      size: this.greenSize,
+      height: this.holePosition.y
+    };
+
+    // Straight line of play; the surface map decides what is actually fairway
+    this.holeLayout = { shape: 'straight', controlPoints: [tees[0].clone(), pin.clone()] };
+    this.createFairway();
+
+    // Level small tee boxes so the ball sits still
+    const teeAreas = this.tees.map(box => this.createFlatArea(box.x, box.z, TEE_BOX_RADIUS, box.y, 0));
+    const geometry = this.createTerrainGeometry((x, z, xIndex, zIndex) => {
+      let y = null;
+      for (let t = 0; y === null && t < teeAreas.length; t++) {
+        y = teeAreas[t](x, z);
+      }
+      return y === null ? heights[xIndex][zIndex] : y;
+    });
+
+    this.obstacles = new ObstacleField(this, { density: this.options.obstacleDensity }).generate();
+    this.outOfBounds = new OutOfBounds(this).generate();
+    this.bridges = new Bridges(this).generate();
+    this.pins = this.findPinSpots();
+    this.selectTeeAndPin();
+    this.calculatePar();
+    this.wind = new Wind(this).generate();
+
+    if (this.options.headless) {
+      geometry.dispose();
+      return null;
+    }
+    this.terrainMesh = this.createTerrainMesh(geometry);
+    return this.terrainMesh;
+  }
+
+  /**
+   * Look up the surface map at the vertex nearest a point
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {string|null} Surface type, or null if there is no surface map or the point is off the map
+   */
+  getMappedSurface(x, z) {
+    if (!this.surfaceMap) return null;
+    
+    const { width, length, segmentsW, segmentsL } = this.options;
+    const xIndex = Math.round((x + width / 2) / width * segmentsW);
+    const zIndex = Math.round((z + length / 2) / length * segmentsL);
+    if (xIndex < 0 || xIndex > segmentsW || zIndex < 0 || zIndex > segmentsL) return null;
+    
+    return decodeSurface(this.surfaceMap[xIndex * (segmentsL + 1) + zIndex]);
+  }
+
+  /**
+   * Build the terrain geometry, heightmap, surface map and vertex colours from a height function
+   * @param {Function} getHeight - (x, z, xIndex, zIndex) => height of the vertex
+   * @returns {THREE.PlaneGeometry} Geometry with heights, colours and normals
+   */
+  createTerrainGeometry(getHeight) {
+    const { width, length, segmentsW, segmentsL } = this.options;
+    
+    // Create plane geometry
+    const geometry = new THREE.PlaneGeometry(
+      width, 
+      length,
+      segmentsW,
+      segmentsL
+    );
+
+    // Rotate to be horizontal (XZ plane)
+    geometry.rotateX(-Math.PI / 2);
+    
+    // Access position data
+    const positions = geometry.getAttribute('position');
+    const colors = [];
+    
+    for (let i = 0; i < positions.count; i++) {
+      const x = positions.getX(i);
+      const z = positions.getZ(i);
+      
+      // World coordinates
+      const worldX = x;
+      const worldZ = z;
+      
+      // Heightmap vertex for this vertex (rounded - the division isn't always exact)
+      const xIndex = Math.round((worldX + width / 2) / width * segmentsW);
+      const zIndex = Math.round((worldZ + length / 2) / length * segmentsL);
+      
+      let y = getHeight(worldX, worldZ, xIndex, zIndex);
+      
+      // Set the vertex height directly (no snapping)
+      if (!Number.isFinite(y)) {
+        console.warn(`Calculated height 'y' is non-finite for vertex (${worldX}, ${worldZ}). Setting to 0.`);
+        y = 0;
+      }
+      positions.setY(i, y);
+
+      // Store height in heightmap
+      if (xIndex >= 0 && xIndex <= segmentsW && zIndex >= 0 && zIndex <= segmentsL) {
+        this.heightMap[xIndex][zIndex] = y;
+      }
+    }
+    
+    // Classify the surfaces now the heights are known, unless the hole brought its own
+    this.ensureSurfaceMap();
+    
+    // Colour each vertex by its surface
+    for (let i = 0; i < positions.count; i++) {
+      const color = new THREE.Color(this.getTerrainColorAt(positions.getX(i), positions.getZ(i)));
+      colors.push(color.r, color.g, color.b);
+    }
+    
+    // Add vertex colors to geometry
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    
+    // Check for NaN values in positions attribute before computing normals
+    for (let i = 0; i < positions.count; i++) {
+      const y = positions.getY(i);
+      if (!Number.isFinite(y)) {
+        const x = positions.getX(i);
+        const z = positions.getZ(i);
+        console.error(`NaN detected in terrain geometry at index ${i}, position (${x}, ${y}, ${z}). Setting y to 0.`);
+        positions.setY(i, 0); 
+      }
+    }
+
+    // Recalculate normals for lighting
+    geometry.computeVertexNormals();
+    
+    return geometry;
+  }
+
+  /**
+   * Create the textured terrain mesh, giving each face the material of its surface type
+   * @param {THREE.BufferGeometry} geometry - Geometry from createTerrainGeometry
+   * @returns {THREE.Mesh} The terrain mesh
+   */
+  createTerrainMesh(geometry) {
+    // --- Begin TextureLoader and Material Setup ---
+    const textureLoader = new THREE.TextureLoader();
+
+    // === TEXTURE TILING CONSTANT ===
+    const TERRAIN_TEXTURE_REPEAT = 50; // Increase/decrease for sharper or more stretched look
+
+    // Helper to load textures with error logging and proper tiling
+    function loadTextureWithTiling(path, renderer, repeat = TERRAIN_TEXTURE_REPEAT) {
+      const tex = textureLoader.load(
+        path,
+        () => {
+          tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+          tex.repeat.set(repeat, repeat);
+          if (renderer && renderer.capabilities) {
+            tex.anisotropy = renderer.capabilities.getMaxAnisotropy();
+          }
+        },
+        undefined,
+        (err) => {
+          console.warn('Texture failed to load:', path, err);
+        }
+      );
+      tex.colorSpace = THREE.SRGBColorSpace;
+      return tex;
+    }
+
+
+    // Get renderer for anisotropy settings
     const renderer = this.scene ? this.scene.renderer : null;
 
+    // Textured material for a surface from the theme, tinted - or flat colour where it has no textures
+    function createSurfaceMaterial(texture) {
+      const paths = getTextureSet(texture);
+      if (!paths) {
+        return new THREE.MeshStandardMaterial({ color: new THREE.Color(texture.tint), roughness: 0.9 });
+      }
+      return new THREE.MeshStandardMaterial({
+        color: new THREE.Color(texture.tint),
+        map: loadTextureWithTiling(paths.map, renderer),
+        normalMap: loadTextureWithTiling(paths.normalMap, renderer),
+        roughnessMap: loadTextureWithTiling(paths.roughnessMap, renderer),
+        flatShading: false, // Set to false for smoother normals with normal maps
+      });
+    }
+
     // Create a material for each surface type with proper tiling
     this.surfaceMaterials = {
       water: new THREE.MeshPhysicalMaterial({
-        color: new THREE.Color(0x4477cc), // Slightly more vibrant blue
+        color: new THREE.Color(this.options.waterColor),
         transparent: true,
-        opacity: 0.85,
+        opacity: this.options.waterOpacity,
         roughness: 0.05, // Very smooth for better reflections
         metalness: 0.1,
         reflectivity: 0.9, // High reflectivity
@@ -785,29 +1575,14 @@ class TerrainGenerator {
         side: THREE.DoubleSide,
         envMapIntensity: 1.5 // Enhance environment reflections
       }),
-      green: new THREE.MeshStandardMaterial({
-        map: loadTextureWithTiling(texturePaths.green.map, renderer),
-        normalMap: loadTextureWithTiling(texturePaths.green.normalMap, renderer),
-        roughnessMap: loadTextureWithTiling(texturePaths.green.roughnessMap, renderer),
-        flatShading: false, // Set to false for smoother normals with normal maps
-      }),
-      fairway: new THREE.MeshStandardMaterial({
-        map: loadTextureWithTiling(texturePaths.fairway.map, renderer),
-        normalMap: loadTextureWithTiling(texturePaths.fairway.normalMap, renderer),
-        roughnessMap: loadTextureWithTiling(texturePaths.fairway.roughnessMap, renderer),
-        flatShading: false,
-      }),
-      rough: new THREE.MeshStandardMaterial({
-        map: loadTextureWithTiling(texturePaths.rough.map, renderer),
-        normalMap: loadTextureWithTiling(texturePaths.rough.normalMap, renderer),
-        roughnessMap: loadTextureWithTiling(texturePaths.rough.roughnessMap, renderer),
-        flatShading: false,
-      }),
-      bunker: new THREE.MeshStandardMaterial({
-        map: loadTextureWithTiling(texturePaths.bunker.map, renderer),
-        normalMap: loadTextureWithTiling(texturePaths.bunker.normalMap, renderer),
-        roughnessMap: loadTextureWithTiling(texturePaths.bunker.roughnessMap, renderer),
-        flatShading: false,
+      green: createSurfaceMaterial(this.theme.textures.green),
+      fairway: createSurfaceMaterial(this.theme.textures.fairway),
+      rough: createSurfaceMaterial(this.theme.textures.rough),
+      bunker: createSurfaceMaterial(this.theme.textures.bunker),
+      cart_path: new THREE.MeshStandardMaterial({
+        color: new THREE.Color(this.theme.colors.cart_path),
+        roughness: 0.95,
+        flatShading: true
       }),
     };
 
@@ -817,9 +1592,24 @@ class TerrainGenerator {
       this.surfaceMaterials.bunker, // Index 1
       this.surfaceMaterials.rough, // Index 2
       this.surfaceMaterials.fairway, // Index 3
-      this.surfaceMaterials.green // Index 4
+      this.surfaceMaterials.green, // Index 4
+      this.surfaceMaterials.cart_path // Index 5
     ];
 
+    // Give each face the material of its surface
+    this.assignSurfaceMaterials(geometry);
+
+    // Create the mesh with multiple materials
+    return new THREE.Mesh(geometry, materials);
+  }
+
+  /**
+   * Split the terrain geometry into material groups by the surface under each face
+   * @param {THREE.BufferGeometry} geometry - Terrain geometry
+   */
+  assignSurfaceMaterials(geometry) {
+    geometry.clearGroups();
+    
     // Assign material indices to each face based on terrain type
     const materialIndices = [];
     const positionAttribute = geometry.getAttribute('position');
@@ -877,26 +1667,24 @@ class TerrainGenerator {
         case 'green':
           materialIndex = 4;
           break;
+        case 'cart_path':
+          materialIndex = 5;
+          break;
       }
       geometry.addGroup(faceIndex, 3, materialIndex);
     }
-
-    // Create and return the mesh with multiple materials
-    this.terrainMesh = new THREE.Mesh(geometry, materials);
-    return this.terrainMesh;
   }
 
   /**
-   * Determine the terrain type based on height
+   * Get the vertex colour for a point on the terrain
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {number} Colour as a hex number
    */
-  getTerrainTypeAtHeight(height) {
-    // Find appropriate terrain type based on height
-    for (let i = 0; i < this.terrainTypes.length; i++) {
-      if (height <= this.terrainTypes[i].height) {
-        return this.terrainTypes[i];
-      }
-    }
-    return this.terrainTypes[this.terrainTypes.length - 1];
+  getTerrainColorAt(x, z) {
+    const surface = this.getSurfaceTypeAtPosition(x, z);
+    const terrainType = this.terrainTypes.find(type => type.name === surface) || this.terrainTypes[2];
+    return terrainType.color;
   }
 
   /**
@@ -905,21 +1693,48 @@ class TerrainGenerator {
   placeTeeAndHole() {
     const { width, length } = this.options;
     
-    // Tee placement
-    const teeX = -width * 0.3;
-    const teeZ = 0;
+    // Pick the hole length for this seed
+    const holeLength = THREE.MathUtils.lerp(
+      MIN_HOLE_LENGTH,
+      Math.min(MAX_HOLE_LENGTH, width * 0.85),
+      this.random()
+    );
+    
+    // Pick the shape of the hole (straight or dog-leg) and lay out its line of play
+    this.holeLayout = this.planHoleLayout(holeLength);
+    const controlPoints = this.holeLayout.controlPoints;
+    
+    // Tee placement - start of the line of play
+    const teeX = controlPoints[0].x;
+    const teeZ = controlPoints[0].y;
     // Ensure teeY is above rough level
     const teeY = Math.max(0.8, this.terrainTypes[2].height + 0.1); // 0.8 is original, ensure it's above rough
 
-    // Hole placement - on the putting green
-    const holeX = width * 0.3;
-    const holeZ = 0;
+    // Hole placement - on the putting green at the end of the line of play
+    const holeX = controlPoints[controlPoints.length - 1].x;
+    const holeZ = controlPoints[controlPoints.length - 1].y;
     // Dynamically get the terrain height at the hole position, ensure it's above rough level
     const baseHoleY = this.getHeightAtPosition(holeX, holeZ);
     const holeY = Math.max(baseHoleY, this.terrainTypes[2].height + 0.1); // Ensure it's above rough
     
-    this.teePosition = new THREE.Vector3(teeX, teeY, teeZ);
+    // Forward tee boxes sit up the first leg, level with the smoothed fairway around them
+    const firstLeg = controlPoints[1].clone().sub(controlPoints[0]);
+    const firstLegLength = firstLeg.length();
+    firstLeg.normalize();
+    this.tees = TEE_BOX_OFFSETS.map((offset) => {
+      if (offset === 0) return new THREE.Vector3(teeX, teeY, teeZ);
+      const ahead = Math.min(offset, holeLength * MAX_TEE_SHORTENING, firstLegLength / 2);
+      const x = teeX + firstLeg.x * ahead;
+      const z = teeZ + firstLeg.y * ahead;
+      const y = Math.max(THREE.MathUtils.lerp(this.getNoiseHeight(x, z), holeY, 0.5), this.terrainTypes[2].height + 0.1);
+      return new THREE.Vector3(x, y, z);
+    });
+    
+    // The hole is laid out from the back tee to the middle of the green; the tee and pin in play
+    // are picked once the green is built
+    this.teePosition = this.tees[0];
     this.holePosition = new THREE.Vector3(holeX, holeY, holeZ);
+    this.pins = [];
     
     // Store green size for later use
     this.greenSize = 15; // Size of the kidney-shaped green
@@ -927,6 +1742,267 @@ class TerrainGenerator {
     // Create a fairway between tee and hole
     this.createFairway();
   }
+
+  /**
+   * Find the spots on the green where the hole can be cut: flat, clear of the edge and spread out
+   * Starts from the middle of the green and keeps adding the spot furthest from those already chosen
+   * @returns {THREE.Vector3[]} Pin spots from the easiest to the most tucked away
+   */
+  findPinSpots() {
+    const { centerX, centerZ, size } = this.greenParams;
+    const reach = size * 2;
+    const candidates = [];
+
+    for (let x = centerX - reach; x <= centerX + reach; x += 1) {
+      for (let z = centerZ - reach; z <= centerZ + reach; z += 1) {
+        if (this.getSurfaceTypeAtPosition(x, z) !== 'green') continue;
+
+        const normal = this.getNormalAtPosition(x, z);
+        if (Math.hypot(normal.x, normal.z) / normal.y > PIN_MAX_SLOPE) continue;
+
+        const { edge, hazard } = this.measurePinSpot(x, z);
+        if (edge < PIN_EDGE_MARGIN) continue;
+
+        // Tucked pins sit near the edge of the green, worse still with a hazard just beyond it
+        candidates.push({ x, z, edge, tuck: edge + Math.min(hazard, PIN_SEARCH_RADIUS) / 2 });
+      }
+    }
+
+    // A green too small or steep for a proper spot still gets a hole in the middle
+    if (candidates.length === 0) {
+      return [new THREE.Vector3(centerX, this.getHeightAtPosition(centerX, centerZ), centerZ)];
+    }
+
+    const spots = [];
+    let next = candidates.reduce((best, candidate) => (candidate.edge > best.edge ? candidate : best));
+    while (next && spots.length < MAX_PIN_SPOTS) {
+      spots.push(next);
+      next = null;
+      let furthest = PIN_SPACING;
+      candidates.forEach((candidate) => {
+        const distance = Math.min(...spots.map(spot => Math.hypot(candidate.x - spot.x, candidate.z - spot.z)));
+        if (distance >= furthest) {
+          furthest = distance;
+          next = candidate;
+        }
+      });
+    }
+
+    spots.sort((a, b) => b.tuck - a.tuck);
+    return spots.map(spot => new THREE.Vector3(spot.x, this.getHeightAtPosition(spot.x, spot.z), spot.z));
+  }
+
+  /**
+   * Measure how far a point on the green is from its edge and from the nearest hazard
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {Object} { edge, hazard } in metres, Infinity if none was found within the search radius
+   */
+  measurePinSpot(x, z) {
+    let edge = Infinity;
+    let hazard = Infinity;
+
+    for (let radius = 1; radius <= PIN_SEARCH_RADIUS && hazard === Infinity; radius++) {
+      for (let step = 0; step < 16; step++) {
+        const angle = (step / 16) * Math.PI * 2;
+        const surface = this.getSurfaceTypeAtPosition(x + Math.cos(angle) * radius, z + Math.sin(angle) * radius);
+        if (surface !== 'green') edge = Math.min(edge, radius);
+        if (surface === 'bunker' || surface === 'water') hazard = Math.min(hazard, radius);
+      }
+    }
+
+    return { edge, hazard };
+  }
+
+  /**
+   * Put the tee and pin in play: by the difficulty setting if there is one, otherwise the middle
+   * tee and any pin spot. The pin seed chooses among the spots that fit, so pins move from day to day
+   */
+  selectTeeAndPin() {
+    const setting = DIFFICULTIES[this.options.difficulty] || null;
+    const pinRandom = createRandom(`${this.seed}:${this.options.pinSeed}`);
+
+    const teeIndex = Math.round(TEE_CHOICE[setting ? setting.tee : 'middle'] * (this.tees.length - 1));
+
+    const [from, to] = setting ? PIN_BANDS[setting.pin] : [0, 1];
+    const first = Math.min(Math.floor(from * this.pins.length), this.pins.length - 1);
+    const last = Math.max(first + 1, Math.ceil(to * this.pins.length));
+    const pinIndex = first + Math.floor(pinRandom() * (last - first));
+
+    this.teePosition = this.tees[teeIndex];
+    this.holePosition = this.pins[pinIndex];
+
+    console.log(`[TerrainGenerator] Tee ${teeIndex + 1} of ${this.tees.length}, pin ${pinIndex + 1} of ${this.pins.length}` +
+      (setting ? ` (${this.options.difficulty})` : ''));
+  }
+
+  /**
+   * Choose the hole shape and its control points (tee, corners, green)
+   * The first leg always runs along +X so the opening aim points down the fairway
+   * @param {number} holeLength - Length of the line of play in metres
+   * @returns {Object} { shape, controlPoints } with control points in the XZ plane
+   */
+  planHoleLayout(holeLength) {
+    const roll = this.random();
+    let shape = 'straight';
+    if (holeLength >= 160) {
+      if (holeLength > 250 && roll < 0.25) {
+        shape = 'double-dogleg';
+      } else if (roll < 0.55) {
+        shape = 'dogleg-left';
+      } else if (roll < 0.85) {
+        shape = 'dogleg-right';
+      }
+    }
+    
+    // +Z is to the player's right when looking down +X
+    const side = shape === 'dogleg-left' || (shape === 'double-dogleg' && this.random() < 0.5) ? -1 : 1;
+    const bend = THREE.MathUtils.degToRad(THREE.MathUtils.lerp(25, 50, this.random()));
+    
+    // Legs as [fraction of hole length, heading in radians]
+    let legs;
+    switch (shape) {
+      case 'dogleg-left':
+      case 'dogleg-right': {
+        const corner = THREE.MathUtils.lerp(0.5, 0.7, this.random());
+        legs = [[corner, 0], [1 - corner, side * bend]];
+        break;
+      }
+      case 'double-dogleg':
+        legs = [[0.4, 0], [0.3, side * bend], [0.3, -side * bend * 0.5]];
+        break;
+      default:
+        legs = [[1, 0]];
+    }
+    
+    // Walk the legs from a tee at the origin
+    const controlPoints = [new THREE.Vector2(0, 0)];
+    legs.forEach(([fraction, heading]) => {
+      const last = controlPoints[controlPoints.length - 1];
+      controlPoints.push(new THREE.Vector2(
+        last.x + Math.cos(heading) * fraction * holeLength,
+        last.y + Math.sin(heading) * fraction * holeLength
+      ));
+    });
+    
+    // Centre the hole on the terrain
+    const box = new THREE.Box2().setFromPoints(controlPoints);
+    const center = box.getCenter(new THREE.Vector2());
+    controlPoints.forEach(point => point.sub(center));
+    
+    console.log(`[TerrainGenerator] Hole layout: ${shape}, ${holeLength.toFixed(0)} m`);
+    return { shape, controlPoints };
+  }
+  
+  /**
+   * Work out par and the official yardage from the generated hole
+   * Par comes from the effective playing length from the back tee: the path along the fairway,
+   * plus the climb from tee to green and any forced hazard carries. Yardage is from the tee in play
+   * @returns {Object} Hole stats ({ par, yardage, pathLength, teeLength, elevationChange, hazardCarry, effectiveLength })
+   */
+  calculatePar() {
+    const pathLength = this.getPlayingPathLength();
+    const backTee = this.tees.length > 0 ? this.tees[0] : this.teePosition;
+    
+    // Forward tees join the line of play part way along it
+    const teeProjection = this.teePosition === backTee ? null : this.getFairwayProjection(this.teePosition.x, this.teePosition.z);
+    const teeLength = pathLength - (teeProjection ? teeProjection.along : 0);
+    
+    // Uphill holes play longer and downhill holes shorter (roughly 1 m per metre of elevation)
+    const elevationChange = this.holePosition.y - backTee.y;
+    
+    // Forced carries over hazards make a hole play longer than its raw distance
+    const hazardCarry = this.getHazardCarryLength();
+    
+    const effectiveLength = pathLength + elevationChange + hazardCarry * 0.5;
+    
+    let par = 5;
+    if (effectiveLength <= PAR_LENGTH_LIMITS[3]) {
+      par = 3;
+    } else if (effectiveLength <= PAR_LENGTH_LIMITS[4]) {
+      par = 4;
+    }
+    
+    this.par = par;
+    this.yardage = Math.round(teeLength * METERS_TO_YARDS);
+    this.holeStats = {
+      par,
+      yardage: this.yardage,
+      pathLength,
+      teeLength,
+      elevationChange,
+      hazardCarry,
+      effectiveLength
+    };
+    
+    console.log(`[TerrainGenerator] Par ${par}, ${this.yardage} yards (effective ${effectiveLength.toFixed(1)} m)`);
+    return this.holeStats;
+  }
+  
+  /**
+   * Get the points of the line of play from tee to pin
+   * @returns {THREE.Vector2[]} Points in the XZ plane
+   */
+  getPlayingLine() {
+    if (this.fairwayPath) {
+      return this.fairwayPath.points.map(point => point.clone());
+    }
+    return [
+      new THREE.Vector2(this.teePosition.x, this.teePosition.z),
+      new THREE.Vector2(this.holePosition.x, this.holePosition.z)
+    ];
+  }
+  
+  /**
+   * Get the point the tee shot should aim at - the first corner on a dog-leg, otherwise the hole
+   * @returns {THREE.Vector2} Target in the XZ plane
+   */
+  getTeeShotTarget() {
+    if (this.holeLayout && this.holeLayout.controlPoints.length > 1) {
+      return this.holeLayout.controlPoints[1].clone();
+    }
+    return new THREE.Vector2(this.holePosition.x, this.holePosition.z);
+  }
+
+  /**
+   * Length of the line of play from tee to pin
+   * @returns {number} Length in metres
+   */
+  getPlayingPathLength() {
+    const points = this.getPlayingLine();
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += points[i].distanceTo(points[i - 1]);
+    }
+    return length;
+  }
+  
+  /**
+   * Total length of the line of play that crosses water or bunkers
+   * @param {number} step - Sampling distance along the line in metres
+   * @returns {number} Carry length in metres
+   */
+  getHazardCarryLength(step = 1) {
+    const points = this.getPlayingLine();
+    let carry = 0;
+    
+    for (let i = 1; i < points.length; i++) {
+      const start = points[i - 1];
+      const end = points[i];
+      const segmentLength = start.distanceTo(end);
+      const samples = Math.max(1, Math.ceil(segmentLength / step));
+      
+      for (let s = 0; s < samples; s++) {
+        const point = start.clone().lerp(end, (s + 0.5) / samples);
+        const surface = this.getSurfaceTypeAtPosition(point.x, point.y);
+        if (surface === 'water' || surface === 'bunker') {
+          carry += segmentLength / samples;
+        }
+      }
+    }
+    
+    return carry;
+  }
   
   /**
    * Create and position the golf hole flag
@@ -993,7 +2069,7 @@ class TerrainGenerator {
     
     // Add collision detection properties
     flagGroup.userData.isFlag = true;
-    flagGroup.userData.holeRadius = 0.15;
+    flagGroup.userData.holeRadius = HOLE_RADIUS;
     
     return flagGroup;
   }
@@ -1025,13 +2101,107 @@ class TerrainGenerator {
     flagGroup.userData.flagMesh = flag;
   }
   
+  /**
+   * Create the instanced tree, rock and shrub meshes
+   * @param {THREE.Scene} scene - The scene to add the obstacles to
+   * @returns {THREE.Group|null} Group holding the obstacle meshes
+   */
+  createObstacles(scene) {
+    if (!this.obstacles) return null;
+    return this.obstacles.createMeshes(scene);
+  }
+
+  /**
+   * Add the white out-of-bounds stakes to the scene
+   * @param {THREE.Scene} scene - The scene to add the stakes to
+   * @returns {THREE.Group|null} The stakes
+   */
+  createOutOfBoundsStakes(scene) {
+    if (!this.outOfBounds) return null;
+    return this.outOfBounds.createMeshes(scene);
+  }
+
+  /**
+   * Add the bridges over the water to the scene
+   * @param {THREE.Scene} scene - The scene to add the bridges to
+   * @returns {THREE.Group|null} The bridges
+   */
+  createBridges(scene) {
+    if (!this.bridges) return null;
+    return this.bridges.createMeshes(scene);
+  }
+
+  /**
+   * Park golf carts along the cart path
+   * @param {THREE.Scene} scene - The scene to add the carts to
+   * @returns {THREE.Group|null} The carts
+   */
+  createCartPath(scene) {
+    if (!this.cartPath) return null;
+    return this.cartPath.createMeshes(scene);
+  }
+
+  /**
+   * Check whether a point is out of bounds
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {boolean}
+   */
+  isOutOfBounds(x, z) {
+    if (this.outOfBounds) return this.outOfBounds.isOutOfBounds(x, z);
+    return Math.abs(x) > this.options.width / 2 || Math.abs(z) > this.options.length / 2;
+  }
+
+  /**
+   * Remove everything this generator added to the scene and free GPU resources
+   * @param {THREE.Scene} scene - The scene the hole was added to
+   */
+  dispose(scene) {
+    const disposeObject = (object) => {
+      if (!object) return;
+      if (scene) scene.remove(object);
+      object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          const materials = Array.isArray(child.material) ? child.material : [child.material];
+          materials.forEach((material) => {
+            // Dispose any textures attached to the material
+            Object.values(material).forEach((value) => {
+              if (value && value.isTexture) value.dispose();
+            });
+            material.dispose();
+          });
+        }
+      });
+    };
+
+    disposeObject(this.terrainMesh);
+    disposeObject(this.waterMesh);
+    disposeObject(this.flagObject);
+    if (this.obstacles) this.obstacles.dispose(scene);
+    if (this.outOfBounds) this.outOfBounds.dispose(scene);
+    if (this.cartPath) this.cartPath.dispose(scene);
+    if (this.bridges) this.bridges.dispose(scene);
+
+    // Clean up any splash or ripple effects still animating
+    (this.splashEffects || []).forEach(disposeObject);
+    (this.rippleEffects || []).forEach(disposeObject);
+
+    this.terrainMesh = null;
+    this.waterMesh = null;
+    this.flagObject = null;
+    this.splashEffects = [];
+    this.rippleEffects = [];
+  }
+
   /**
    * Check if the ball has entered the hole
-   * @param {THREE.Object3D} ball - The golf ball object
+   * Works from the hole position alone, so it needs no flag (and runs headless)
+   * @param {GolfBall} ball - The golf ball
    * @returns {boolean} Whether the ball is in the hole
    */
   checkBallInHole(ball) {
-    if (!ball || !this.flagObject || !this.holePosition) return false;
+    if (!ball || !this.holePosition) return false;
     
     // Get ball position
     const ballPosition = ball.position.clone();
@@ -1044,7 +2214,7 @@ class TerrainGenerator {
     ).length();
     
     // Check if ball is within hole radius
-    const isOverHole = horizontalDist < this.flagObject.userData.holeRadius;
+    const isOverHole = horizontalDist < HOLE_RADIUS;
     
     // Check if ball is at the right height (at or slightly below hole level)
     // The hole is now positioned below ground level, so check for a lower position
@@ -1055,73 +2225,215 @@ class TerrainGenerator {
     const isStopped = ball.velocity ? ball.velocity.length() < 0.5 : true;
     
     // Ball is in hole if all conditions are met
-    const isInHole = isOverHole && isAtHoleLevel && isStopped;
-    
-    // If ball is in hole, make it sink gradually
-    if (isInHole && ball.velocity) {
-      // Apply downward force to make the ball sink into the hole
-      ball.velocity.y = -0.5;
-      ball.velocity.x *= 0.5;
-      ball.velocity.z *= 0.5;
-    }
-    
-    return isInHole;
+    return isOverHole && isAtHoleLevel && isStopped;
   }
 
   /**
    * Create a fairway between tee and hole
+   * The fairway is a smooth centre line through the layout's control points,
+   * sampled into a polyline with a half-width at every point
    */
   createFairway() {
-    // This method will be used when generating terrain
-    // to ensure a playable path between tee and hole
+    const controlPoints = this.holeLayout
+      ? this.holeLayout.controlPoints
+      : [
+          new THREE.Vector2(this.teePosition.x, this.teePosition.z),
+          new THREE.Vector2(this.holePosition.x, this.holePosition.z)
+        ];
+    
+    // Round off the dog-leg corners with a Catmull-Rom spline
+    const curve = new THREE.SplineCurve(controlPoints);
+    const curveLength = curve.getLength();
+    const points = curve.getSpacedPoints(Math.max(2, Math.ceil(curveLength / FAIRWAY_SAMPLE_SPACING)));
+    
+    // Random widths every ~40 m, smoothly blended, give wide landing areas and pinched sections
+    const knotCount = Math.max(2, Math.ceil(curveLength / 40) + 1);
+    const knots = [];
+    for (let i = 0; i < knotCount; i++) {
+      knots.push(THREE.MathUtils.lerp(FAIRWAY_MIN_HALF_WIDTH, FAIRWAY_MAX_HALF_WIDTH, this.random()));
+    }
+    const widths = points.map((point, i) => {
+      const k = (i / (points.length - 1)) * (knotCount - 1);
+      const k0 = Math.min(Math.floor(k), knotCount - 2);
+      const blend = THREE.MathUtils.smoothstep(k - k0, 0, 1);
+      return THREE.MathUtils.lerp(knots[k0], knots[k0 + 1], blend);
+    });
+    
     this.fairwayPath = {
-      start: new THREE.Vector2(this.teePosition.x, this.teePosition.z),
-      end: new THREE.Vector2(this.holePosition.x, this.holePosition.z),
-      width: 15 // Width of the fairway
+      shape: this.holeLayout ? this.holeLayout.shape : 'straight',
+      points,
+      widths, // Half-width of the fairway at each point
+      length: curveLength
     };
   }
 
   /**
-   * Check if a point is on the fairway
+   * Narrow the fairway where it runs into hazards so it wraps around them
+   * Hazards sitting on the centre line are left as forced carries
+   * @param {Array<Object>} hazards - Circles ({ x, z, radius })
+   * @param {number} margin - Strip of rough to leave between fairway and hazard
    */
-  isOnFairway(x, z) {
-    if (!this.fairwayPath) return false;
-    
-    const point = new THREE.Vector2(x, z);
-    const start = this.fairwayPath.start;
-    const end = this.fairwayPath.end;
-    
-    // Calculate distance from point to line segment (fairway)
-    const line = end.clone().sub(start);
-    const len = line.length();
-    const lineDir = line.clone().divideScalar(len);
+  fitFairwayToHazards(hazards, margin = 2) {
+    if (!this.fairwayPath) return;
+    
+    const { points, widths } = this.fairwayPath;
+    points.forEach((point, i) => {
+      hazards.forEach((hazard) => {
+        const clearance = Math.sqrt((point.x - hazard.x) ** 2 + (point.y - hazard.z) ** 2) - hazard.radius - margin;
+        if (clearance >= FAIRWAY_MIN_HALF_WIDTH * 0.5 && clearance < widths[i]) {
+          widths[i] = clearance;
+        }
+      });
+    });
+  }
+
+  /**
+   * Find the closest point on the fairway centre line
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {Object|null} { x, z, distance, width, along } or null if there is no fairway
+   *   or the point lies beyond the tee or green end
+   */
+  getFairwayProjection(x, z) {
+    if (!this.fairwayPath) return null;
+    
+    const { points, widths } = this.fairwayPath;
+    const lastSegment = points.length - 2;
+    let best = null;
+    let along = 0;
+    
+    for (let i = 0; i <= lastSegment; i++) {
+      const a = points[i];
+      const b = points[i + 1];
+      const abX = b.x - a.x;
+      const abZ = b.y - a.y;
+      const segmentLengthSq = abX * abX + abZ * abZ;
+      const segmentLength = Math.sqrt(segmentLengthSq);
+      if (segmentLengthSq === 0) continue;
+      
+      let t = ((x - a.x) * abX + (z - a.y) * abZ) / segmentLengthSq;
+      
+      // The fairway has square ends at the tee and the green
+      const beyondEnd = (i === 0 && t < 0) || (i === lastSegment && t > 1);
+      if (!beyondEnd) {
+        t = Math.max(0, Math.min(1, t));
+        const projX = a.x + abX * t;
+        const projZ = a.y + abZ * t;
+        const distance = Math.sqrt((x - projX) ** 2 + (z - projZ) ** 2);
+        
+        if (!best || distance < best.distance) {
+          best = {
+            x: projX,
+            z: projZ,
+            distance,
+            width: widths[i] + (widths[i + 1] - widths[i]) * t,
+            along: along + segmentLength * t
+          };
+        }
+      }
+      
+      along += segmentLength;
+    }
     
-    const pointVec = point.clone().sub(start);
-    const projection = pointVec.dot(lineDir);
+    return best;
+  }
+
+  /**
+   * Get the point a given distance along the fairway centre line
+   * @param {number} along - Distance from the tee end in metres (clamped to the fairway)
+   * @returns {Object} { x, z, dirX, dirZ, width } - position, unit direction of play and half-width
+   */
+  getFairwayPointAt(along) {
+    const { points, widths } = this.fairwayPath;
+    let remaining = Math.max(0, along);
+    
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i];
+      const b = points[i + 1];
+      const segmentLength = a.distanceTo(b);
+      const isLast = i === points.length - 2;
+      if (segmentLength === 0 || (remaining > segmentLength && !isLast)) {
+        remaining -= segmentLength;
+        continue;
+      }
+      
+      const t = Math.min(1, remaining / segmentLength);
+      return {
+        x: a.x + (b.x - a.x) * t,
+        z: a.y + (b.y - a.y) * t,
+        dirX: (b.x - a.x) / segmentLength,
+        dirZ: (b.y - a.y) / segmentLength,
+        width: widths[i] + (widths[i + 1] - widths[i]) * t
+      };
+    }
     
-    // Check if point is between start and end
-    if (projection < 0 || projection > len) return false;
+    return { x: points[0].x, z: points[0].y, dirX: 1, dirZ: 0, width: widths[0] };
+  }
+
+  /**
+   * Check if a point is on the fairway
+   */
+  isOnFairway(x, z) {
+    const projection = this.getFairwayProjection(x, z);
     
-    // Calculate perpendicular distance
-    const perpDist = pointVec.clone().sub(lineDir.clone().multiplyScalar(projection)).length();
+    // Check if within fairway width at the closest point
+    return projection !== null && projection.distance <= projection.width;
+  }
+
+  /**
+   * Find the heightmap cell under a point and the triangle of the mesh it falls in
+   * Each cell is split along the diagonal from its (x, z + 1) to its (x + 1, z) corner, as PlaneGeometry does
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {Object|null} { h00, h10, h01, h11, fx, fz, upper } - corner heights (x then z offset),
+   *   position inside the cell (0-1) and whether it's the far triangle; null off the heightmap
+   */
+  getTerrainCell(x, z) {
+    if (!this.heightMap || this.heightMap.length === 0) return null;
     
-    // Check if within fairway width
-    return perpDist <= this.fairwayPath.width;
+    const { width, length, segmentsW, segmentsL } = this.options;
+    const gridX = (x + width / 2) / width * segmentsW;
+    const gridZ = (z + length / 2) / length * segmentsL;
+    if (!(gridX >= 0 && gridX <= segmentsW && gridZ >= 0 && gridZ <= segmentsL)) return null;
+    
+    // The last row and column belong to the cell before them
+    const xIndex = Math.min(Math.floor(gridX), segmentsW - 1);
+    const zIndex = Math.min(Math.floor(gridZ), segmentsL - 1);
+    const fx = gridX - xIndex;
+    const fz = gridZ - zIndex;
+    
+    return {
+      h00: this.heightMap[xIndex][zIndex],
+      h10: this.heightMap[xIndex + 1][zIndex],
+      h01: this.heightMap[xIndex][zIndex + 1],
+      h11: this.heightMap[xIndex + 1][zIndex + 1],
+      fx,
+      fz,
+      upper: fx + fz > 1
+    };
   }
 
   /**
-   * Get terrain height at specific world coordinates (for physics)
+   * Get the height of whatever the ball rests on at specific world coordinates (for physics):
+   * the ground, or a bridge deck where one crosses above it
    */
   getHeightAtPosition(x, z) {
-    // If heightmap is available, use it for faster lookups
-    if (this.heightMap && this.heightMap.length > 0) {
-      const { width, length, segmentsW, segmentsL } = this.options;
-      const xIndex = Math.floor((x + width / 2) / width * segmentsW);
-      const zIndex = Math.floor((z + length / 2) / length * segmentsL);
+    const ground = this.getGroundHeightAtPosition(x, z);
+    const deck = this.bridges ? this.bridges.getDeck(x, z) : null;
+    return deck ? Math.max(ground, deck.height) : ground;
+  }
 
-      if (xIndex >= 0 && xIndex <= segmentsW && zIndex >= 0 && zIndex <= segmentsL) {
-        return this.heightMap[xIndex][zIndex];
-      }
+  /**
+   * Get terrain height at specific world coordinates, ignoring bridges
+   * Interpolates across the triangle under the point, so it matches the rendered mesh exactly
+   */
+  getGroundHeightAtPosition(x, z) {
+    const cell = this.getTerrainCell(x, z);
+    if (cell) {
+      const { h00, h10, h01, h11, fx, fz, upper } = cell;
+      return upper
+        ? h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz)
+        : h00 + (h10 - h00) * fx + (h01 - h00) * fz;
     }
     
     // Fallback to the noise height if heightmap is not available or out of bounds
@@ -1133,53 +2445,302 @@ class TerrainGenerator {
    * Check if a position is a water hazard
    */
   isWaterHazard(x, y, z) {
-    const height = this.getHeightAtPosition(x, z);
-    return height < this.terrainTypes[0].height;
+    return this.getSurfaceTypeAtPosition(x, z, y) === 'water';
   }
 
   /**
    * Check if a position is in a sand bunker
    */
   isSandBunker(x, y, z) {
-    const height = this.getHeightAtPosition(x, z);
-    return height >= this.terrainTypes[0].height && height < this.terrainTypes[1].height;
+    return this.getSurfaceTypeAtPosition(x, z) === 'bunker';
   }
 
   /**
-   * Estimate the terrain normal at a given (x, z) position.
-   * Uses central differences on the height map.
+   * Get the terrain normal at a given (x, z) position
+   * This is the normal of the mesh triangle under the point (or of the bridge deck above it),
+   * so it agrees with getHeightAtPosition
    */
   getNormalAtPosition(x, z) {
-    const delta = 0.1;
-    const hL = this.getHeightAtPosition(x - delta, z);
-    const hR = this.getHeightAtPosition(x + delta, z);
-    const hD = this.getHeightAtPosition(x, z - delta);
-    const hU = this.getHeightAtPosition(x, z + delta);
+    const deck = this.bridges ? this.bridges.getDeck(x, z) : null;
+    if (deck && deck.height >= this.getGroundHeightAtPosition(x, z)) {
+      return deck.normal;
+    }
+    return this.getGroundNormalAtPosition(x, z);
+  }
+
+  /**
+   * Get the terrain normal at a given (x, z) position, ignoring bridges
+   */
+  getGroundNormalAtPosition(x, z) {
+    const cell = this.getTerrainCell(x, z);
+    let slopeX;
+    let slopeZ;
+    
+    if (cell) {
+      const { width, length, segmentsW, segmentsL } = this.options;
+      const { h00, h10, h01, h11, upper } = cell;
+      slopeX = (upper ? h11 - h01 : h10 - h00) / (width / segmentsW);
+      slopeZ = (upper ? h11 - h10 : h01 - h00) / (length / segmentsL);
+    } else {
+      // Off the heightmap - central differences on the noise
+      const delta = 0.5;
+      slopeX = (this.getGroundHeightAtPosition(x + delta, z) - this.getGroundHeightAtPosition(x - delta, z)) / (2 * delta);
+      slopeZ = (this.getGroundHeightAtPosition(x, z + delta) - this.getGroundHeightAtPosition(x, z - delta)) / (2 * delta);
+    }
 
     // The normal is the cross product of the two tangents
-    const normal = new THREE.Vector3(
-      hL - hR, // x
-      2 * delta, // y
-      hD - hU  // z
-    );
-    normal.normalize();
-    return normal;
+    return new THREE.Vector3(-slopeX, 1, -slopeZ).normalize();
   }
 
   /**
-   * Get the surface type at a specific position on the terrain
+   * Find where a ray first meets the ground or a bridge deck
+   * @param {THREE.Vector3} origin - Start of the ray
+   * @param {THREE.Vector3} direction - Direction of the ray (need not be normalised)
+   * @param {number} [maxDistance] - Longest distance to test
+   * @returns {Object|null} { point, normal, surface, distance } or null if the ray reaches neither
+   */
+  raycast(origin, direction, maxDistance = Infinity) {
+    const groundHit = this.raycastGround(origin, direction, maxDistance);
+    if (!this.bridges) return groundHit;
+    
+    const deckHit = this.bridges.raycast(origin, direction.clone().normalize(), groundHit ? groundHit.distance : maxDistance);
+    return deckHit ? { ...deckHit, surface: 'bridge' } : groundHit;
+  }
+
+  /**
+   * Find where a ray first meets the ground, ignoring bridges
+   * Walks the heightmap cell by cell along the ray, testing the two triangles of each cell,
+   * so the hit matches the rendered mesh. Ground beyond the heightmap is not tested
+   * @param {THREE.Vector3} origin - Start of the ray
+   * @param {THREE.Vector3} direction - Direction of the ray (need not be normalised)
+   * @param {number} [maxDistance] - Longest distance to test
+   * @returns {Object|null} { point, normal, surface, distance } or null if the ray reaches no ground;
+   *   a ray that starts underground, or comes in under the edge of the map, hits straight away
+   */
+  raycastGround(origin, direction, maxDistance = Infinity) {
+    if (!this.heightMap || this.heightMap.length === 0) return null;
+    
+    const { width, length, segmentsW, segmentsL } = this.options;
+    const cellW = width / segmentsW;
+    const cellL = length / segmentsL;
+    const dir = direction.clone().normalize();
+    if (dir.lengthSq() === 0) return null;
+    
+    // Clip the ray to the edges of the heightmap
+    let tStart = 0;
+    let tEnd = maxDistance;
+    const clip = (start, step, halfSize) => {
+      if (Math.abs(step) < 1e-12) {
+        if (start < -halfSize || start > halfSize) tEnd = -1;
+        return;
+      }
+      const t1 = (-halfSize - start) / step;
+      const t2 = (halfSize - start) / step;
+      tStart = Math.max(tStart, Math.min(t1, t2));
+      tEnd = Math.min(tEnd, Math.max(t1, t2));
+    };
+    clip(origin.x, dir.x, width / 2);
+    clip(origin.z, dir.z, length / 2);
+    if (tStart > tEnd) return null;
+    
+    // Height of the ray above the ground at a distance along it
+    const clearanceAt = t => origin.y + dir.y * t - this.getGroundHeightAtPosition(origin.x + dir.x * t, origin.z + dir.z * t);
+    const hitAt = (t, insideT) => {
+      const point = origin.clone().addScaledVector(dir, t);
+      point.y = this.getGroundHeightAtPosition(point.x, point.z);
+      return {
+        point,
+        // Taken inside the triangle that was hit, not on its edge
+        normal: this.getGroundNormalAtPosition(origin.x + dir.x * insideT, origin.z + dir.z * insideT),
+        surface: this.getSurfaceTypeAtPosition(point.x, point.z),
+        distance: t
+      };
+    };
+    
+    // Grid position along the ray, in cells
+    const gridX = t => (origin.x + dir.x * t + width / 2) / cellW;
+    const gridZ = t => (origin.z + dir.z * t + length / 2) / cellL;
+    let xIndex = Math.max(0, Math.min(segmentsW - 1, Math.floor(gridX(tStart))));
+    let zIndex = Math.max(0, Math.min(segmentsL - 1, Math.floor(gridZ(tStart))));
+    const stepX = Math.sign(dir.x);
+    const stepZ = Math.sign(dir.z);
+    const nextBoundary = (index, step, start, d, cell, halfSize) => (step === 0
+      ? Infinity
+      : ((index + (step > 0 ? 1 : 0)) * cell - halfSize - start) / d);
+    let tNextX = nextBoundary(xIndex, stepX, origin.x, dir.x, cellW, width / 2);
+    let tNextZ = nextBoundary(zIndex, stepZ, origin.z, dir.z, cellL, length / 2);
+    
+    let t = tStart;
+    let clearance = clearanceAt(t);
+    if (clearance <= 0) return hitAt(t, t);
+    
+    while (t < tEnd) {
+      const tExit = Math.min(tNextX, tNextZ, tEnd);
+      
+      // A straight down (or up) ray with no distance limit never leaves its cell
+      if (tExit === Infinity) {
+        return dir.y < 0 ? hitAt(t + clearance / -dir.y, t) : null;
+      }
+      
+      // Split the stretch where it crosses the cell's diagonal; the ground is flat on either side
+      const stops = [];
+      const diagonalStart = gridX(t) - xIndex + gridZ(t) - zIndex;
+      const diagonalRate = dir.x / cellW + dir.z / cellL;
+      if (diagonalRate !== 0) {
+        const tDiagonal = t + (1 - diagonalStart) / diagonalRate;
+        if (tDiagonal > t && tDiagonal < tExit) stops.push(tDiagonal);
+      }
+      stops.push(tExit);
+      
+      for (const tStop of stops) {
+        const stopClearance = clearanceAt(tStop);
+        if (stopClearance <= 0) {
+          const tHit = t + (tStop - t) * clearance / (clearance - stopClearance);
+          return hitAt(tHit, (t + tStop) / 2);
+        }
+        t = tStop;
+        clearance = stopClearance;
+      }
+      
+      // Step into the next cell
+      if (tNextX < tNextZ) {
+        xIndex += stepX;
+        tNextX += cellW / Math.abs(dir.x);
+      } else {
+        zIndex += stepZ;
+        tNextZ += cellL / Math.abs(dir.z);
+      }
+      if (xIndex < 0 || xIndex >= segmentsW || zIndex < 0 || zIndex >= segmentsL) break;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check that no ground lies between two points
+   * @param {THREE.Vector3} a - First point
+   * @param {THREE.Vector3} b - Second point (may sit on the ground itself)
+   * @returns {boolean} True if the straight line between them stays above the terrain
+   */
+  hasLineOfSight(a, b) {
+    const direction = b.clone().sub(a);
+    const distance = direction.length();
+    
+    // Stop just short of b so a point resting on the ground can still be seen
+    return distance < 0.1 || this.raycast(a, direction, distance - 0.1) === null;
+  }
+
+  /**
+   * Check whether the ball can be dropped at a point - dry grass, in bounds and clear of the water's edge
    * @param {number} x - X coordinate in world space
    * @param {number} z - Z coordinate in world space
-   * @returns {string} The surface type ("fairway", "green", "rough", "bunker", "water")
+   * @returns {boolean}
    */
-  getSurfaceTypeAtPosition(x, z) {
-    // Get the height at this position
-    const y = this.getHeightAtPosition(x, z);
+  isDropSpot(x, z) {
+    if (this.isOutOfBounds(x, z)) return false;
+    if (!['fairway', 'rough'].includes(this.getSurfaceTypeAtPosition(x, z))) return false;
+    
+    for (let i = 0; i < 8; i++) {
+      const angle = i / 8 * Math.PI * 2;
+      if (this.getSurfaceTypeAtPosition(x + Math.cos(angle) * 2, z + Math.sin(angle) * 2) === 'water') return false;
+    }
+    return true;
+  }
+
+  /**
+   * Find a drop on the line from the pin back through the point where the ball went into the water
+   * @param {THREE.Vector3} entry - Where the ball went into the water
+   * @returns {THREE.Vector3|null} Drop position on the ground, or null if the line runs out of bounds first
+   */
+  findLineBackDrop(entry) {
+    const direction = new THREE.Vector2(entry.x - this.holePosition.x, entry.z - this.holePosition.z);
+    if (direction.lengthSq() === 0) return null;
+    direction.normalize();
+    
+    // Go back from the entry point until the ground is dry, then a club length more
+    for (let back = 1; back <= 150; back++) {
+      const x = entry.x + direction.x * back;
+      const z = entry.z + direction.y * back;
+      if (this.isOutOfBounds(x, z)) return null;
+      if (this.isDropSpot(x, z)) {
+        const dropX = x + direction.x;
+        const dropZ = z + direction.y;
+        const spot = this.isDropSpot(dropX, dropZ) ? [dropX, dropZ] : [x, z];
+        return new THREE.Vector3(spot[0], this.getHeightAtPosition(spot[0], spot[1]), spot[1]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the drop zone for a water hazard - the dry spot nearest where the ball went in
+   * that is no nearer the pin, so it sits beside or behind the water rather than across it
+   * @param {THREE.Vector3} entry - Where the ball went into the water
+   * @param {number} [reach] - Furthest the drop zone can be from the entry point (metres)
+   * @returns {THREE.Vector3|null} Drop position on the ground, or null if there is nowhere dry nearby
+   */
+  findDropZone(entry, reach = 40) {
+    const entryToPin = Math.hypot(entry.x - this.holePosition.x, entry.z - this.holePosition.z);
+    let best = null;
+    let bestDistance = Infinity;
+    
+    for (let dx = -reach; dx <= reach; dx += 2) {
+      for (let dz = -reach; dz <= reach; dz += 2) {
+        const distance = Math.hypot(dx, dz);
+        if (distance > reach) continue;
+        const x = entry.x + dx;
+        const z = entry.z + dz;
+        if (Math.hypot(x - this.holePosition.x, z - this.holePosition.z) < entryToPin) continue;
+        if (distance < bestDistance && this.isDropSpot(x, z)) {
+          best = [x, z];
+          bestDistance = distance;
+        }
+      }
+    }
     
-    // console.log(`getSurfaceTypeAtPosition(${x}, ${z}) - height: ${y}`); // Debugging
+    return best ? new THREE.Vector3(best[0], this.getHeightAtPosition(best[0], best[1]), best[1]) : null;
+  }
+
+  /**
+   * Find the planned hazard covering a position
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @returns {Object|null} Hazard ({ id, type, placement, x, z, radius, ... }) or null
+   */
+  getHazardAtPosition(x, z) {
+    return this.hazards.find(hazard => isInsideHazard(hazard, x, z)) || null;
+  }
 
-    // Check if it's in special areas
+  /**
+   * Get the surface type at a specific position on the terrain
+   * Reads the surface map, so physics, colours and materials always agree. Given a height, a point
+   * standing on a bridge deck is on the bridge rather than in the water underneath
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @param {number} [y] - Height of the point (the bottom of the ball)
+   * @returns {string} The surface type ("fairway", "green", "rough", "bunker", "water", "cart_path", "bridge")
+   */
+  getSurfaceTypeAtPosition(x, z, y) {
+    if (y !== undefined && this.bridges && this.bridges.isOnDeck(x, y, z)) {
+      return 'bridge';
+    }
+    
+    const mappedSurface = this.getMappedSurface(x, z);
+    if (mappedSurface) return mappedSurface;
     
+    // Off the map, or the map isn't built yet
+    return this.classifySurface(x, z, this.getGroundHeightAtPosition(x, z));
+  }
+
+  /**
+   * Work out the surface of a generated hole from its layout and heights
+   * Used to fill the surface map; everything else should read the map
+   * @param {number} x - X coordinate in world space
+   * @param {number} z - Z coordinate in world space
+   * @param {number} y - Terrain height at the point
+   * @returns {string} The surface type ("fairway", "green", "rough", "bunker", "water")
+   */
+  classifySurface(x, z, y) {
     // Check if on putting green (kidney-shaped area around hole)
     if (this.greenParams) {
       // Use the same kidney shape calculation as in createPuttingGreen
@@ -1192,48 +2753,43 @@ class TerrainGenerator {
       const kidneyDistance = Math.max(ellipseDistance, 1 - circleDistance);
       
       if (kidneyDistance < 1) {
-        // console.log(`getSurfaceTypeAtPosition(${x}, ${z}) returning: green`); // Debugging
         return "green";
       }
     }
     
-    // Check if on tee (near tee position)
-    const distanceFromTee = new THREE.Vector2(x - this.teePosition.x, z - this.teePosition.z).length();
-    if (distanceFromTee < 5) {
-      // console.log(`getSurfaceTypeAtPosition(${x}, ${z}) returning: green (tee)`); // Debugging
+    // Check if on a tee box
+    const tees = this.tees.length > 0 ? this.tees : [this.teePosition];
+    if (tees.some(tee => Math.hypot(x - tee.x, z - tee.z) < 5)) {
       return "green"; // Tee box has similar properties to green
     }
 
-    // Check for explicitly defined water hazard areas
-    if (this.waterHazardArea && this.waterHazardArea(x, z) !== null) {
-      return "water";
+    // Check the planned bunkers and ponds
+    const hazard = this.getHazardAtPosition(x, z);
+    if (hazard) {
+      return hazard.type;
     }
-
-    // Check for explicitly defined sand bunker areas
-    if (this.sandBunkerArea && this.sandBunkerArea(x, z) !== null) {
-      return "bunker";
+    
+    // Check the cart path
+    if (this.cartPath && this.cartPath.isOnPath(x, z)) {
+      return "cart_path";
     }
     
-    // Check for water hazard (based on height)
+    // Hollows below the water line fill with water
     if (y <= this.terrainTypes[0].height) {
-      // console.log(`getSurfaceTypeAtPosition(${x}, ${z}) returning: water`); // Debugging
       return "water";
     }
     
-    // Check for sand bunker (based on height)
+    // Shallow hollows just above it are sand
     if (y <= this.terrainTypes[1].height) {
-      // console.log(`getSurfaceTypeAtPosition(${x}, ${z}) returning: bunker`); // Debugging
       return "bunker";
     }
     
     // Check if on fairway
     if (this.isOnFairway(x, z)) {
-      // console.log(`getSurfaceTypeAtPosition(${x}, ${z}) returning: fairway`); // Debugging
       return "fairway";
     }
     
     // Default to rough
-    // console.log(`getSurfaceTypeAtPosition(${x}, ${z}) returning: rough`); // Debugging
     return "rough";
   }
 }
@@ -0,0 +1,167 @@
+// Texture sets for the terrain surfaces (colour, normal and roughness maps)
+const TEXTURE_SETS = {
+  grass001: {
+    map: 'src/Textures/Stylized_Grass_001_SD-20250506T130657Z-1-001/Stylized_Grass_001_SD/Stylized_Grass_001_basecolor.jpg',
+    normalMap: 'src/Textures/Stylized_Grass_001_SD-20250506T130657Z-1-001/Stylized_Grass_001_SD/Stylized_Grass_001_normal.jpg',
+    roughnessMap: 'src/Textures/Stylized_Grass_001_SD-20250506T130657Z-1-001/Stylized_Grass_001_SD/Stylized_Grass_001_roughness.jpg',
+  },
+  grass002: {
+    map: 'src/Textures/Stylized_Grass_002_SD-20250506T130649Z-1-001/Stylized_Grass_002_SD/Stylized_Grass_002_basecolor.jpg',
+    normalMap: 'src/Textures/Stylized_Grass_002_SD-20250506T130649Z-1-001/Stylized_Grass_002_SD/Stylized_Grass_002_normal.jpg',
+    roughnessMap: 'src/Textures/Stylized_Grass_002_SD-20250506T130649Z-1-001/Stylized_Grass_002_SD/Stylized_Grass_002_roughness.jpg',
+  },
+  grass003: {
+    map: 'src/Textures/Stylized_Grass_003_SD-20250506T130641Z-1-001/Stylized_Grass_003_SD/Stylized_Grass_003_basecolor.jpg',
+    normalMap: 'src/Textures/Stylized_Grass_003_SD-20250506T130641Z-1-001/Stylized_Grass_003_SD/Stylized_Grass_003_normal.jpg',
+    roughnessMap: 'src/Textures/Stylized_Grass_003_SD-20250506T130641Z-1-001/Stylized_Grass_003_SD/Stylized_Grass_003_roughness.jpg',
+  },
+  sand006: {
+    map: 'src/Textures/Sand_006_SD-20250506T130354Z-1-001/Sand_006_SD/Sand_006_baseColor.jpg',
+    normalMap: 'src/Textures/Sand_006_SD-20250506T130354Z-1-001/Sand_006_SD/Sand_006_normal.jpg',
+    roughnessMap: 'src/Textures/Sand_006_SD-20250506T130354Z-1-001/Sand_006_SD/Sand_006_roughness.jpg',
+  },
+  sand008: {
+    map: 'src/Textures/Sand_008_SD-20250506T130356Z-1-001/Sand_008_SD/Sand_008_basecolor.png',
+    normalMap: 'src/Textures/Sand_008_SD-20250506T130356Z-1-001/Sand_008_SD/Sand_008_normal.png',
+    roughnessMap: 'src/Textures/Sand_008_SD-20250506T130356Z-1-001/Sand_008_SD/Sand_008_roughness.png',
+  }
+};
+
+// Theme used when none is asked for
+export const DEFAULT_THEME = 'parkland';
+
+/**
+ * Course themes for ThreeWood
+ * Each theme bundles the terrain options it generates with (noise, heights, hazards, obstacles),
+ * the surface colours and textures, the water and the sky.
+ * Textures are { set, tint } - a set from TEXTURE_SETS multiplied by the tint, or no set for a
+ * plain surface in the tint colour. Wind is the [min, max] base speed in m/s a hole is given.
+ * Fog is { color, near, far } in metres, or null for clear air
+ */
+export const THEMES = {
+  // Tree-lined grass, gentle hills and a pond or two
+  parkland: {
+    terrain: {
+      maxHeight: 5,
+      minHeight: -1,
+      noiseScale: 0.05,
+      noiseOctaves: 3,
+      noisePersistence: 0.5,
+      hazards: {},
+      obstacleDensity: 1
+    },
+    colors: { bunker: 0xDDCC88, rough: 0x669944, fairway: 0x88CC66, green: 0x66BB55, cart_path: 0xA8A294 },
+    textures: {
+      green: { set: 'grass001', tint: 0xFFFFFF },
+      fairway: { set: 'grass003', tint: 0xFFFFFF },
+      rough: { set: 'grass002', tint: 0xFFFFFF },
+      bunker: { set: 'sand006', tint: 0xFFFFFF }
+    },
+    water: { color: 0x4477CC, opacity: 0.85 },
+    wind: [0, 6],
+    sky: { color: 0x87CEEB, ground: 0x448844, fog: null }
+  },
+
+  // Bumpy seaside ground with straw-coloured grass, extra bunkers, hardly a tree and no planned ponds
+  links: {
+    terrain: {
+      maxHeight: 4,
+      minHeight: -0.6,
+      noiseScale: 0.09,
+      noiseOctaves: 4,
+      noisePersistence: 0.55,
+      hazards: { greensideBunkers: 3, fairwayBunkers: 4, ponds: 0 },
+      obstacleDensity: 0.25
+    },
+    colors: { bunker: 0xD8C79A, rough: 0x8C9456, fairway: 0xA8B86A, green: 0x7FB356, cart_path: 0x9C9A90 },
+    textures: {
+      green: { set: 'grass001', tint: 0xE0F0C8 },
+      fairway: { set: 'grass003', tint: 0xE0DDA8 },
+      rough: { set: 'grass002', tint: 0xD0C088 },
+      bunker: { set: 'sand008', tint: 0xFFFFFF }
+    },
+    water: { color: 0x51708A, opacity: 0.9 },
+    wind: [3, 11],
+    sky: { color: 0xA9BCCB, ground: 0x8C9456, fog: { color: 0xB7C3CC, near: 120, far: 600 } }
+  },
+
+  // Green strips through sandy waste ground, broad mesas and little water
+  desert: {
+    terrain: {
+      // Kept low - the broad, rough noise raises walls in front of the tees and tilts the greens
+      // past what HoleValidator passes, so taller desert holes mostly had to be regenerated
+      maxHeight: 5,
+      minHeight: -0.4,
+      noiseScale: 0.035,
+      noiseOctaves: 3,
+      noisePersistence: 0.6,
+      hazards: { greensideBunkers: 2, fairwayBunkers: 1, ponds: 1 },
+      obstacleDensity: 0.4
+    },
+    colors: { bunker: 0xEAD7A4, rough: 0xD9B77E, fairway: 0x7FB04E, green: 0x5FA448, cart_path: 0xB8A88C },
+    textures: {
+      green: { set: 'grass001', tint: 0xFFFFFF },
+      fairway: { set: 'grass003', tint: 0xF0F0D8 },
+      rough: { set: 'sand008', tint: 0xE8C89A },
+      bunker: { set: 'sand006', tint: 0xFFF4E0 }
+    },
+    water: { color: 0x3F9FB0, opacity: 0.8 },
+    wind: [1, 8],
+    sky: { color: 0x9FC8E8, ground: 0xC9A66B, fog: { color: 0xE6D3AE, near: 200, far: 800 } }
+  },
+
+  // Snow in the rough, frosted fairways and greens, hills and low cloud
+  winter: {
+    terrain: {
+      maxHeight: 6,
+      minHeight: -1,
+      noiseScale: 0.04,
+      noiseOctaves: 3,
+      noisePersistence: 0.45,
+      hazards: {},
+      obstacleDensity: 1.2
+    },
+    colors: { bunker: 0xE0E0DA, rough: 0xEEF2F6, fairway: 0xA8BCA0, green: 0x8DAE88, cart_path: 0x8E8C88 },
+    textures: {
+      green: { set: 'grass001', tint: 0xC8D8CC },
+      fairway: { set: 'grass003', tint: 0xC0CCC4 },
+      rough: { set: null, tint: 0xEEF2F6 },
+      bunker: { set: 'sand006', tint: 0xE4E8EE }
+    },
+    water: { color: 0x8FB4CC, opacity: 0.95 },
+    wind: [2, 9],
+    sky: { color: 0xC9D6E0, ground: 0xE8EEF2, fog: { color: 0xDDE5EC, near: 60, far: 350 } }
+  }
+};
+
+/**
+ * Look up a theme by name
+ * @param {string} [name] - Theme name (defaults to parkland, as do unknown names)
+ * @returns {Object} Theme from THEMES
+ */
+export function getTheme(name) {
+  return THEMES[name] || THEMES[DEFAULT_THEME];
+}
+
+/**
+ * Get the texture maps for a themed surface
+ * @param {Object} texture - Surface texture from a theme ({ set, tint })
+ * @returns {Object|null} Paths ({ map, normalMap, roughnessMap }), or null for a plain surface
+ */
+export function getTextureSet(texture) {
+  return texture.set ? TEXTURE_SETS[texture.set] : null;
+}
+
+/**
+ * Read the theme from the page URL (?theme=parkland|links|desert|winter)
+ * @returns {string} Theme name, parkland if the URL has none (or an unknown one)
+ */
+export function getThemeFromUrl() {
+  if (typeof window === 'undefined' || !window.location) return DEFAULT_THEME;
+
+  const param = new URLSearchParams(window.location.search).get('theme');
+  if (param === null) return DEFAULT_THEME;
+
+  const name = param.trim().toLowerCase();
+  return THEMES[name] ? name : DEFAULT_THEME;
+}
@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+import { simulateShot } from './shotSimulator.js';
+
+// Seconds of flight between the dots of the arc
+const DOT_INTERVAL = 0.08;
+const MAX_DOTS = 200;
+
+// Seconds between predictions while the aim moves (each one flies the whole shot), and while it
+// holds still, so the arc follows the gusts
+const MIN_PREDICTION_INTERVAL = 0.1;
+const REFRESH_INTERVAL = 0.5;
+
+const CLEAR_COLOR = 0xFFFFFF;
+const BLOCKED_COLOR = 0xFF3333;
+const MARKER_COLOR = 0xFFD700;
+const MARKER_RADIUS = 2;
+
+const METERS_TO_YARDS = 1.09361;
+
+/**
+ * Trajectory preview for ThreeWood
+ * Shows where a shot will go while aiming: a dotted arc along the predicted flight and a marker
+ * where it lands, with the carry. The flight is simulated over the terrain with the game's own ball
+ * physics, so a shot into a hill stops short against it and shows red
+ */
+class TrajectoryPreview {
+  /**
+   * @param {THREE.Scene} scene - Scene to draw the preview in
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    scene.add(this.group);
+
+    // Inputs of the last prediction, and time since it was made
+    this.lastShotKey = '';
+    this.refreshTimer = REFRESH_INTERVAL;
+
+    // Last prediction (see simulateShot), and whether the ball flies into the ground
+    this.result = null;
+    this.blocked = false;
+
+    this.createDots();
+    this.createMarker();
+    this.createLabel();
+  }
+
+  /**
+   * Dotted arc - screen-sized points so it reads at any distance
+   */
+  createDots() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_DOTS * 3), 3));
+    geometry.setDrawRange(0, 0);
+
+    const material = new THREE.PointsMaterial({
+      color: CLEAR_COLOR,
+      size: 4,
+      sizeAttenuation: false,
+      transparent: true,
+      opacity: 0.9,
+      depthWrite: false
+    });
+
+    this.dots = new THREE.Points(geometry, material);
+    this.dots.frustumCulled = false;
+    this.group.add(this.dots);
+  }
+
+  /**
+   * Ring lying on the ground where the ball lands
+   */
+  createMarker() {
+    const geometry = new THREE.RingGeometry(MARKER_RADIUS * 0.75, MARKER_RADIUS, 24);
+    const material = new THREE.MeshBasicMaterial({
+      color: MARKER_COLOR,
+      transparent: true,
+      opacity: 0.8,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+
+    this.marker = new THREE.Mesh(geometry, material);
+    this.marker.renderOrder = 10;
+    this.group.add(this.marker);
+  }
+
+  /**
+   * Carry label floating over the marker, drawn on a canvas
+   */
+  createLabel() {
+    this.labelCanvas = document.createElement('canvas');
+    this.labelCanvas.width = 256;
+    this.labelCanvas.height = 64;
+    this.labelTexture = new THREE.CanvasTexture(this.labelCanvas);
+    this.labelTexture.minFilter = THREE.NearestFilter;
+    this.labelTexture.magFilter = THREE.NearestFilter;
+
+    const material = new THREE.SpriteMaterial({
+      map: this.labelTexture,
+      sizeAttenuation: false,
+      depthTest: false,
+      transparent: true
+    });
+
+    this.label = new THREE.Sprite(material);
+    this.label.center.set(0.5, 0);
+    this.label.scale.set(0.16, 0.04, 1);
+    this.label.renderOrder = 11;
+    this.group.add(this.label);
+    this.labelText = '';
+  }
+
+  /**
+   * Predict the shot and redraw the arc, marker and label
+   * The flight is only simulated again when the shot changes, or now and then for the wind
+   * @param {number} deltaTime - Seconds since the last frame
+   * @param {Object} shot - Shot to preview ({ terrain, start, power, direction, loft, sidespin },
+   *   as for simulateShot)
+   */
+  update(deltaTime, shot) {
+    this.refreshTimer += deltaTime;
+
+    const { start, direction } = shot;
+    const shotKey = [
+      start.x, start.y, start.z, direction.x, direction.z, shot.power, shot.loft, shot.sidespin
+    ].map(value => value.toFixed(3)).join(',');
+    const changed = shotKey !== this.lastShotKey;
+    if (this.refreshTimer < (changed ? MIN_PREDICTION_INTERVAL : REFRESH_INTERVAL)) return;
+    this.lastShotKey = shotKey;
+    this.refreshTimer = 0;
+
+    this.result = simulateShot({ ...shot, sampleInterval: DOT_INTERVAL, untilLanding: true });
+    const { trajectory, landing } = this.result;
+
+    // A ball that meets the ground while still climbing has flown into a hill
+    this.blocked = this.result.landingVelocity !== null && this.result.landingVelocity.y > 0;
+    const color = this.blocked ? BLOCKED_COLOR : CLEAR_COLOR;
+
+    // Dots along the flight, skipping the one under the ball
+    const positions = this.dots.geometry.attributes.position;
+    const count = Math.min(trajectory.length - 1, MAX_DOTS);
+    for (let i = 0; i < count; i++) {
+      const { position } = trajectory[i + 1];
+      positions.setXYZ(i, position.x, position.y, position.z);
+    }
+    positions.needsUpdate = true;
+    this.dots.geometry.setDrawRange(0, count);
+    this.dots.material.color.setHex(color);
+
+    // Marker flat on the ground where the ball lands
+    const { terrain } = shot;
+    const normal = terrain.getNormalAtPosition(landing.x, landing.z) || new THREE.Vector3(0, 1, 0);
+    this.marker.position.set(landing.x, terrain.getHeightAtPosition(landing.x, landing.z) + 0.05, landing.z);
+    this.marker.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+    this.marker.material.color.setHex(this.blocked ? BLOCKED_COLOR : MARKER_COLOR);
+
+    // Carry along the ground, in yards like the hole's yardage
+    const carry = Math.hypot(landing.x - start.x, landing.z - start.z) * METERS_TO_YARDS;
+    this.label.position.set(landing.x, this.marker.position.y + 1, landing.z);
+    this.setLabel(`${Math.round(shot.power)}% - ${Math.round(carry)} yds`, color);
+  }
+
+  /**
+   * Draw the label text (only when it changes)
+   * @param {string} text - Label text
+   * @param {number} color - Text colour
+   */
+  setLabel(text, color) {
+    const key = `${text}:${color}`;
+    if (key === this.labelText) return;
+    this.labelText = key;
+
+    const context = this.labelCanvas.getContext('2d');
+    context.clearRect(0, 0, this.labelCanvas.width, this.labelCanvas.height);
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 8, this.labelCanvas.width, this.labelCanvas.height - 16);
+    context.font = 'bold 30px monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = `#${color.toString(16).padStart(6, '0')}`;
+    context.fillText(text, this.labelCanvas.width / 2, this.labelCanvas.height / 2);
+    this.labelTexture.needsUpdate = true;
+  }
+
+  /**
+   * Show or hide the preview
+   * Hiding it forgets the last prediction, so a fresh one is made as soon as it's shown again
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.group.visible = visible;
+    if (!visible) {
+      this.lastShotKey = '';
+      this.refreshTimer = REFRESH_INTERVAL;
+    }
+  }
+
+  /**
+   * Remove the preview from the scene and free its GPU resources
+   */
+  dispose() {
+    this.scene.remove(this.group);
+    this.dots.geometry.dispose();
+    this.dots.material.dispose();
+    this.marker.geometry.dispose();
+    this.marker.material.dispose();
+    this.labelTexture.dispose();
+    this.label.material.dispose();
+  }
+}
+
+export default TrajectoryPreview;
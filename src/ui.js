@@ -16,6 +16,9 @@ class UI {
     this.readyIndicatorElement = null;
     this.loftDisplayElement = null;
     this.transitionIndicatorElement = null;
+    this.seedElement = null;
+    this.holeElement = null;
+    this.roundSummaryElement = null;
     
     // Initialize spin values to prevent errors
     this.spinValues = { x: 0, y: 0 };
@@ -36,6 +39,8 @@ class UI {
     this.createPowerMeter();
     this.createStrokesDisplay();
     this.createScoreDisplay();
+    this.createSeedDisplay();
+    this.createHoleDisplay();
     this.createReadyIndicator();
     this.createLoftDisplay();
     this.createTransitionIndicator();
@@ -164,6 +169,59 @@ class UI {
     this.scoreElement = scoreDisplay;
   }
   
+  /**
+   * Create course seed display
+   */
+  createSeedDisplay() {
+    const seedDisplay = document.createElement('div');
+    seedDisplay.id = 'seed-display';
+    seedDisplay.style.position = 'absolute';
+    seedDisplay.style.top = '65px';
+    seedDisplay.style.right = '20px';
+    seedDisplay.style.padding = '5px 10px';
+    seedDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    seedDisplay.style.color = '#ccc';
+    seedDisplay.style.fontFamily = 'monospace';
+    seedDisplay.style.fontSize = '12px';
+    seedDisplay.style.borderRadius = '4px';
+    seedDisplay.style.zIndex = '100';
+    seedDisplay.style.userSelect = 'text';
+    
+    document.body.appendChild(seedDisplay);
+    this.seedElement = seedDisplay;
+    
+    if (this.game && this.game.round) {
+      this.updateSeed(this.game.round.seed);
+    }
+  }
+  
+  /**
+   * Create hole number / par display
+   */
+  createHoleDisplay() {
+    const holeDisplay = document.createElement('div');
+    holeDisplay.id = 'hole-display';
+    holeDisplay.style.position = 'absolute';
+    holeDisplay.style.top = '20px';
+    holeDisplay.style.left = '50%';
+    holeDisplay.style.transform = 'translateX(-50%)';
+    holeDisplay.style.padding = '10px 15px';
+    holeDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    holeDisplay.style.color = '#fff';
+    holeDisplay.style.fontFamily = 'Lato, sans-serif';
+    holeDisplay.style.fontWeight = 'bold';
+    holeDisplay.style.borderRadius = '5px';
+    holeDisplay.style.zIndex = '100';
+    
+    document.body.appendChild(holeDisplay);
+    this.holeElement = holeDisplay;
+    
+    if (this.game && this.game.round) {
+      const yardage = this.game.terrain ? this.game.terrain.yardage : null;
+      this.updateHole(this.game.round.getCurrentHole().number, this.game.round.holeCount, this.game.par, yardage);
+    }
+  }
+  
   /**
    * Create ready indicator element
    */
@@ -595,6 +653,186 @@ class UI {
     }
   }
   
+  /**
+   * Update course seed display
+   */
+  updateSeed(seed) {
+    if (this.seedElement) {
+      this.seedElement.textContent = `Seed: ${seed}`;
+    }
+  }
+  
+  /**
+   * Update hole number / par display
+   */
+  updateHole(number, holeCount, par, yardage) {
+    if (this.holeElement) {
+      const yardageText = yardage ? ` | ${yardage} yds` : '';
+      this.holeElement.textContent = `Hole ${number}/${holeCount} | Par ${par}${yardageText}`;
+    }
+  }
+  
+  /**
+   * Show the hole intro banner (hole number, par and yardage)
+   */
+  showHoleIntro(number, par, yardage) {
+    // Replace any intro that is still showing
+    const existing = document.getElementById('hole-intro-message');
+    if (existing && existing.parentNode) {
+      existing.parentNode.removeChild(existing);
+    }
+    
+    const introContainer = document.createElement('div');
+    introContainer.id = 'hole-intro-message';
+    introContainer.style.position = 'absolute';
+    introContainer.style.top = '30%';
+    introContainer.style.left = '50%';
+    introContainer.style.transform = 'translate(-50%, -50%)';
+    introContainer.style.padding = '15px 30px';
+    introContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    introContainer.style.color = '#fff';
+    introContainer.style.fontFamily = 'Lato, sans-serif';
+    introContainer.style.textAlign = 'center';
+    introContainer.style.borderRadius = '10px';
+    introContainer.style.zIndex = '200';
+    introContainer.style.pointerEvents = 'none';
+    introContainer.style.transition = 'opacity 0.5s ease-in-out';
+    introContainer.innerHTML = `
+      <div style="font-size: 36px; font-weight: bold; color: #FFD700;">HOLE ${number}</div>
+      <div style="font-size: 22px; margin-top: 5px;">Par ${par} | ${yardage} yds</div>
+    `;
+    
+    document.body.appendChild(introContainer);
+    
+    // Fade out, then remove
+    setTimeout(() => {
+      introContainer.style.opacity = '0';
+    }, 2500);
+    setTimeout(() => {
+      if (introContainer.parentNode) {
+        introContainer.parentNode.removeChild(introContainer);
+      }
+    }, 3000);
+  }
+  
+  /**
+   * Show a penalty banner (e.g. out of bounds)
+   * @param {string} title - Banner headline
+   * @param {string} detail - What happens next
+   */
+  showPenaltyBanner(title, detail) {
+    // Replace any banner that is still showing
+    const existing = document.getElementById('penalty-banner');
+    if (existing && existing.parentNode) {
+      existing.parentNode.removeChild(existing);
+    }
+    
+    const banner = document.createElement('div');
+    banner.id = 'penalty-banner';
+    banner.style.position = 'absolute';
+    banner.style.top = '30%';
+    banner.style.left = '50%';
+    banner.style.transform = 'translate(-50%, -50%)';
+    banner.style.padding = '15px 30px';
+    banner.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    banner.style.color = '#fff';
+    banner.style.fontFamily = 'Lato, sans-serif';
+    banner.style.textAlign = 'center';
+    banner.style.borderRadius = '10px';
+    banner.style.zIndex = '200';
+    banner.style.pointerEvents = 'none';
+    banner.style.boxShadow = '0 0 20px rgba(255, 80, 60, 0.6)';
+    banner.style.transition = 'opacity 0.5s ease-in-out';
+    banner.innerHTML = `
+      <div style="font-size: 36px; font-weight: bold; color: #ff6650;">${title}</div>
+      <div style="font-size: 20px; margin-top: 5px;">${detail}</div>
+    `;
+    
+    document.body.appendChild(banner);
+    
+    // Fade out, then remove
+    setTimeout(() => {
+      banner.style.opacity = '0';
+    }, 2500);
+    setTimeout(() => {
+      if (banner.parentNode) {
+        banner.parentNode.removeChild(banner);
+      }
+    }, 3000);
+  }
+  
+  /**
+   * Show the drop options after a ball goes in the water
+   * @param {Array<Object>} options - Drops ({ label, description, position }); a null position can't be chosen
+   * @param {Function} onChoose - Called with the chosen option
+   */
+  showDropPicker(options, onChoose) {
+    this.hideDropPicker();
+    
+    const picker = document.createElement('div');
+    picker.id = 'drop-picker';
+    picker.style.position = 'absolute';
+    picker.style.top = '50%';
+    picker.style.left = '50%';
+    picker.style.transform = 'translate(-50%, -50%)';
+    picker.style.padding = '20px 30px';
+    picker.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    picker.style.color = '#fff';
+    picker.style.fontFamily = 'Lato, sans-serif';
+    picker.style.textAlign = 'center';
+    picker.style.borderRadius = '10px';
+    picker.style.zIndex = '300';
+    picker.style.boxShadow = '0 0 20px rgba(68, 136, 255, 0.6)';
+    picker.innerHTML = `
+      <div style="font-size: 32px; font-weight: bold; color: #66aaff;">IN THE WATER</div>
+      <div style="font-size: 18px; margin: 5px 0 15px;">1 stroke penalty - choose where to drop</div>
+    `;
+    
+    options.forEach((option) => {
+      const available = !!option.position;
+      const button = document.createElement('button');
+      button.innerHTML = `
+        <div style="font-size: 18px; font-weight: bold;">${option.label}</div>
+        <div style="font-size: 13px; color: #ddd;">${available ? option.description : 'Not available here'}</div>
+      `;
+      button.disabled = !available;
+      button.style.display = 'block';
+      button.style.width = '100%';
+      button.style.marginTop = '8px';
+      button.style.padding = '10px 20px';
+      button.style.backgroundColor = available ? '#4CAF50' : '#555';
+      button.style.color = '#fff';
+      button.style.border = 'none';
+      button.style.borderRadius = '5px';
+      button.style.cursor = available ? 'pointer' : 'default';
+      button.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.3)';
+      
+      button.addEventListener('click', (e) => {
+        // Don't let the click start a swing
+        e.stopPropagation();
+        if (!available) return;
+        this.hideDropPicker();
+        onChoose(option);
+      });
+      button.addEventListener('mousedown', (e) => e.stopPropagation());
+      
+      picker.appendChild(button);
+    });
+    
+    document.body.appendChild(picker);
+    this.dropPickerElement = picker;
+  }
+  
+  /**
+   * Hide the drop options
+   */
+  hideDropPicker() {
+    if (this.dropPickerElement && this.dropPickerElement.parentNode) {
+      this.dropPickerElement.parentNode.removeChild(this.dropPickerElement);
+    }
+    this.dropPickerElement = null;
+  }
+  
   /**
    * Show hole completion message
    */
@@ -603,7 +841,9 @@ class UI {
     let relativeScore = strokes - par;
     let scoreText = '';
     
-    if (relativeScore === -2) scoreText = 'EAGLE!';
+    if (strokes === 1) scoreText = 'HOLE IN ONE!';
+    else if (relativeScore === -3) scoreText = 'ALBATROSS!';
+    else if (relativeScore === -2) scoreText = 'EAGLE!';
     else if (relativeScore === -1) scoreText = 'BIRDIE!';
     else if (relativeScore === 0) scoreText = 'PAR';
     else if (relativeScore === 1) scoreText = 'BOGEY';
@@ -640,6 +880,112 @@ class UI {
     }, 3000);
   }
   
+  /**
+   * Show the end-of-round scorecard
+   * @param {Round} round - The finished round
+   * @param {Function} onPlayAgain - Called when the player starts a new round
+   */
+  showRoundSummary(round, onPlayAgain) {
+    // Remove any previous summary
+    this.hideRoundSummary();
+    
+    const totals = round.getTotals();
+    const toParText = totals.toPar === 0 ? 'E' : (totals.toPar > 0 ? `+${totals.toPar}` : `${totals.toPar}`);
+    
+    // Build scorecard rows
+    const rows = round.holes.map(hole => {
+      const diff = hole.strokes - hole.par;
+      const color = diff < 0 ? '#FFD700' : (diff > 0 ? '#ff8866' : '#fff');
+      return `
+        <tr>
+          <td style="padding: 2px 12px;">${hole.number}</td>
+          <td style="padding: 2px 12px;">${hole.yardage || '-'}</td>
+          <td style="padding: 2px 12px;">${hole.par}</td>
+          <td style="padding: 2px 12px; color: ${color};">${hole.strokes}</td>
+          <td style="padding: 2px 12px; color: ${hole.penalties ? '#ff8866' : '#888'};">${hole.penalties || '-'}</td>
+        </tr>`;
+    }).join('');
+    
+    const summaryOverlay = document.createElement('div');
+    summaryOverlay.id = 'round-summary-overlay';
+    summaryOverlay.style.position = 'fixed';
+    summaryOverlay.style.top = '0';
+    summaryOverlay.style.left = '0';
+    summaryOverlay.style.width = '100%';
+    summaryOverlay.style.height = '100%';
+    summaryOverlay.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    summaryOverlay.style.display = 'flex';
+    summaryOverlay.style.flexDirection = 'column';
+    summaryOverlay.style.justifyContent = 'center';
+    summaryOverlay.style.alignItems = 'center';
+    summaryOverlay.style.color = '#fff';
+    summaryOverlay.style.fontFamily = 'Lato, sans-serif';
+    summaryOverlay.style.zIndex = '1000';
+    summaryOverlay.innerHTML = `
+      <h1 style="margin-bottom: 10px; font-size: 36px; text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.5);">Round Complete</h1>
+      <div style="margin-bottom: 20px; font-size: 14px; color: #ccc;">Seed: ${round.seed}</div>
+      <div style="max-height: 60%; overflow-y: auto; background-color: rgba(255, 255, 255, 0.1); padding: 15px 25px; border-radius: 10px;">
+        <table style="border-collapse: collapse; text-align: center; font-size: 16px;">
+          <thead>
+            <tr style="border-bottom: 1px solid #888;">
+              <th style="padding: 4px 12px;">Hole</th>
+              <th style="padding: 4px 12px;">Yds</th>
+              <th style="padding: 4px 12px;">Par</th>
+              <th style="padding: 4px 12px;">Strokes</th>
+              <th style="padding: 4px 12px;">Pen</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+          <tfoot>
+            <tr style="border-top: 1px solid #888; font-weight: bold;">
+              <td style="padding: 4px 12px;">Total</td>
+              <td style="padding: 4px 12px;">${totals.yardage}</td>
+              <td style="padding: 4px 12px;">${totals.par}</td>
+              <td style="padding: 4px 12px;">${totals.strokes}</td>
+              <td style="padding: 4px 12px;">${totals.penalties}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      <div style="font-size: 32px; margin-top: 20px; color: #FFD700;">${toParText}</div>
+    `;
+    
+    // Create play again button
+    const playAgainButton = document.createElement('button');
+    playAgainButton.textContent = 'PLAY AGAIN';
+    playAgainButton.style.marginTop = '30px';
+    playAgainButton.style.padding = '12px 30px';
+    playAgainButton.style.backgroundColor = '#4CAF50';
+    playAgainButton.style.color = '#fff';
+    playAgainButton.style.border = 'none';
+    playAgainButton.style.borderRadius = '5px';
+    playAgainButton.style.fontSize = '18px';
+    playAgainButton.style.cursor = 'pointer';
+    playAgainButton.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.3)';
+    
+    playAgainButton.addEventListener('click', (e) => {
+      // Don't let the click start a swing
+      e.stopPropagation();
+      this.hideRoundSummary();
+      if (onPlayAgain) onPlayAgain();
+    });
+    playAgainButton.addEventListener('mousedown', (e) => e.stopPropagation());
+    
+    summaryOverlay.appendChild(playAgainButton);
+    document.body.appendChild(summaryOverlay);
+    this.roundSummaryElement = summaryOverlay;
+  }
+  
+  /**
+   * Hide the end-of-round scorecard
+   */
+  hideRoundSummary() {
+    if (this.roundSummaryElement && this.roundSummaryElement.parentNode) {
+      this.roundSummaryElement.parentNode.removeChild(this.roundSummaryElement);
+    }
+    this.roundSummaryElement = null;
+  }
+  
   /**
    * Show game instructions
    */
@@ -692,8 +1038,12 @@ class UI {
         <li><strong>Second Click</strong>: Hit ball with current power</li>
         <li><strong>Up/Down Arrows</strong>: Adjust shot loft</li>
         <li><strong>S Key</strong>: Open spin selector</li>
+        <li><strong>P Key</strong>: Show or hide the predicted flight (not at expert difficulty)</li>
+        <li><strong>[ / ] Keys</strong>: Change the power the flight is predicted for</li>
         <li><strong>C Key</strong>: Toggle camera mode</li>
         <li><strong>R Key</strong>: Reset ball to tee</li>
+        <li><strong>X Key</strong>: Save this hole as a course file</li>
+        <li><strong>E Key</strong>: Open the hole editor</li>
         <li><strong>H Key</strong>: Show this help screen</li>
       </ul>
       <div style="margin-top: 20px; text-align: center;">
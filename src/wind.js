@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+// Height (metres) the wind speed is quoted at; it is weaker nearer the ground and stronger above
+const REFERENCE_HEIGHT = 10;
+const HEIGHT_EXPONENT = 1 / 7;
+const MIN_HEIGHT = 0.1;
+
+// Gusts: periods (seconds) of the swells that make them up, and how far (radians) they swing the direction
+const GUST_PERIODS = [6, 11, 19];
+const GUST_VEER = 0.15;
+
+const MPS_TO_MPH = 2.23694;
+
+/**
+ * Wind for ThreeWood
+ * Each hole gets its own wind - a direction, a base speed and gusts that come and go -
+ * picked from the hole seed, so the same hole always plays in the same wind
+ */
+class Wind {
+  /**
+   * @param {TerrainGenerator} terrain - Terrain the wind blows over (gives the seed and theme)
+   */
+  constructor(terrain) {
+    this.terrain = terrain;
+
+    // Direction the wind blows towards, in radians from +X towards +Z
+    this.direction = 0;
+
+    // Speed (m/s) at the reference height between gusts
+    this.baseSpeed = 0;
+
+    // How much the gusts add to or take off the base speed (0-1)
+    this.gustStrength = 0;
+
+    // Phase of each gust swell
+    this.gustPhases = GUST_PERIODS.map(() => 0);
+
+    // Seconds since the hole started, moving the gusts along
+    this.time = 0;
+  }
+
+  /**
+   * Pick the wind for the hole
+   * Uses its own random stream, so the hole itself comes out the same with or without wind
+   * @returns {Wind} this
+   */
+  generate() {
+    const random = createRandom(`${this.terrain.seed}:wind`);
+    const [minSpeed, maxSpeed] = this.terrain.theme.wind;
+
+    this.direction = random() * Math.PI * 2;
+    this.baseSpeed = THREE.MathUtils.lerp(minSpeed, maxSpeed, random() ** 1.5); // Calm days are commoner
+    this.gustStrength = THREE.MathUtils.lerp(0.1, 0.4, random());
+    this.gustPhases = GUST_PERIODS.map(() => random() * Math.PI * 2);
+    this.time = 0;
+
+    console.log(`[Wind] ${this.baseSpeed.toFixed(1)} m/s towards ${THREE.MathUtils.radToDeg(this.direction).toFixed(0)}°, gusting ${Math.round(this.gustStrength * 100)}%`);
+    return this;
+  }
+
+  /**
+   * Move the gusts along
+   * @param {number} deltaTime - Seconds since the last update
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+  }
+
+  /**
+   * How gusty it is right now
+   * @param {number} offset - Phase offset, so direction and speed don't swell together
+   * @param {number} [time] - Seconds into the hole (defaults to now)
+   * @returns {number} -1 (lull) to 1 (gust)
+   */
+  getGust(offset = 0, time = this.time) {
+    const sum = GUST_PERIODS.reduce((total, period, i) =>
+      total + Math.sin(time * Math.PI * 2 / period + this.gustPhases[i] + offset * (i + 1)), 0);
+    return sum / GUST_PERIODS.length;
+  }
+
+  /**
+   * Wind speed at the reference height
+   * @param {number} [time] - Seconds into the hole (defaults to now)
+   * @returns {number} Speed in m/s
+   */
+  getSpeed(time = this.time) {
+    return Math.max(0, this.baseSpeed * (1 + this.gustStrength * this.getGust(0, time)));
+  }
+
+  /**
+   * Direction the wind is blowing towards
+   * @param {number} [time] - Seconds into the hole (defaults to now)
+   * @returns {number} Radians from +X towards +Z
+   */
+  getDirection(time = this.time) {
+    return this.direction + GUST_VEER * this.getGust(Math.PI / 2, time);
+  }
+
+  /**
+   * Wind velocity at a height above the ground (a power law - slower near the ground)
+   * A ball in flight asks for the wind at its own clock, so frame timing never changes the gusts it meets
+   * @param {number} height - Height above the ground in metres
+   * @param {number} [time] - Seconds into the hole (defaults to now)
+   * @returns {THREE.Vector3} Velocity in m/s
+   */
+  getVelocityAt(height, time = this.time) {
+    const speed = this.getSpeed(time) * (Math.max(height, MIN_HEIGHT) / REFERENCE_HEIGHT) ** HEIGHT_EXPONENT;
+    const direction = this.getDirection(time);
+    return new THREE.Vector3(Math.cos(direction) * speed, 0, Math.sin(direction) * speed);
+  }
+
+  /**
+   * Wind for the HUD
+   * @returns {Object} { speed, direction } - speed in mph (rounded) and direction in radians from +X towards +Z
+   */
+  getReading() {
+    return {
+      speed: Math.round(this.getSpeed() * MPS_TO_MPH),
+      direction: this.getDirection()
+    };
+  }
+}
+
+export default Wind;